@@ -5,6 +5,8 @@ const _ = require('lodash');
 const crypto = require('./crypto');
 
 const DEFAULT_LIMIT = 100;
+const DEFAULT_MAX_BATCH_SIZE = 50;
+const SESSION_LENGTH_MS = 365 * 24 * 60 * 60 * 1000;
 const QUOTE_REGEXP = /(\\Q|\\E)/g;
 
 const CONFIG = {
@@ -14,13 +16,20 @@ const CONFIG = {
 let Parse;
 let db = {};
 let hooks = {};
+let functions = {};
+let jobs = {};
+let classLevelPermissions = {};
+let hookErrors = [];
 const masks = {};
 
 let indirect = null;
 let outOfBandResults = null;
 
 let defaultController = null;
+let defaultCloud = null;
 let mocked = false;
+let awaitAfterHooks = true;
+let maxBatchSize = DEFAULT_MAX_BATCH_SIZE;
 let user = null;
 
 function debugPrint(prefix, object) {
@@ -53,6 +62,105 @@ function deserializeQueryParam(param) {
   return param;
 }
 
+const RELATIVE_TIME_UNITS = {
+  yr: 31536000,
+  yrs: 31536000,
+  year: 31536000,
+  years: 31536000,
+  wk: 604800,
+  wks: 604800,
+  week: 604800,
+  weeks: 604800,
+  d: 86400,
+  day: 86400,
+  days: 86400,
+  hr: 3600,
+  hrs: 3600,
+  hour: 3600,
+  hours: 3600,
+  min: 60,
+  mins: 60,
+  minute: 60,
+  minutes: 60,
+  sec: 1,
+  secs: 1,
+  second: 1,
+  seconds: 1,
+};
+
+const RELATIVE_TIME_OPERATORS = new Set(['$lt', '$lte', '$gt', '$gte']);
+
+/**
+ * Parses a relative time the way parse-server does, eg. 'now', '3 days ago' or
+ * 'in 1 week 2 hours', into a date relative to the current time.
+ *
+ * @param {string} text The relative time.
+ * @param {string} constraint The query operator the relative time is given to, for errors.
+ */
+function relativeTimeToDate(text, constraint) {
+  const fail = (info) => {
+    throw new Parse.Error(
+      Parse.Error.INVALID_JSON, `bad $relativeTime (${constraint}) value. ${info}`
+    );
+  };
+
+  const normalizedText = `${text}`.toLowerCase();
+  let parts = normalizedText.split(' ').filter(part => part !== '');
+  const future = parts[0] === 'in';
+  const past = parts[parts.length - 1] === 'ago';
+  const now = new Date();
+
+  if (normalizedText.trim() === 'now') {
+    return now;
+  }
+  if (!future && !past) {
+    fail("Time should either start with 'in' or end with 'ago'");
+  }
+  if (future && past) {
+    fail("Time cannot have both 'in' and 'ago'");
+  }
+
+  parts = future ? parts.slice(1) : parts.slice(0, parts.length - 1);
+  if (parts.length % 2 !== 0) {
+    fail('Invalid time string. Dangling unit or number.');
+  }
+
+  let seconds = 0;
+  _.chunk(parts, 2).forEach(([number, interval]) => {
+    const value = Number(number);
+    if (!Number.isInteger(value)) {
+      fail(`'${number}' is not an integer.`);
+    }
+    if (!(interval in RELATIVE_TIME_UNITS)) {
+      fail(`Invalid interval: '${interval}'`);
+    }
+    seconds += value * RELATIVE_TIME_UNITS[interval];
+  });
+
+  const milliseconds = seconds * 1000;
+  return new Date(now.getTime() + (future ? milliseconds : -milliseconds));
+}
+
+/**
+ * Resolves the relative times of a where clause, eg. `{ $lt: { $relativeTime: '3 days ago' } }`,
+ * into encoded dates. Like parse-server, throws on invalid relative times whatever the data
+ * being queried.
+ */
+function resolveRelativeTimes(where) {
+  return _.cloneDeepWith(where, (value, constraint) => {
+    if (!value || typeof value !== 'object' || !('$relativeTime' in value)) {
+      return undefined;
+    }
+    if (!RELATIVE_TIME_OPERATORS.has(constraint)) {
+      throw new Parse.Error(
+        Parse.Error.INVALID_JSON,
+        '$relativeTime can only be used with the $lt, $lte, $gt, and $gte operators'
+      );
+    }
+    return { __type: 'Date', iso: relativeTimeToDate(value.$relativeTime, constraint).toJSON() };
+  });
+}
+
 /**
  * Evaluates whether 2 objects are the same, independent of their representation
  * (e.g. Pointer, Object)
@@ -177,64 +285,451 @@ function getCollection(collection) {
   return db[collection];
 }
 
+// Fields that are stored but never returned to clients
+const HIDDEN_FIELDS = {
+  _User: ['_hashed_password'],
+};
+
 function getMask(collection) {
   if (!masks[collection]) {
-    masks[collection] = new Set();
+    masks[collection] = new Set(HIDDEN_FIELDS[collection]);
   }
   return masks[collection];
 }
 
 /**
- * Clears the MockDB and any registered hooks.
+ * Hydrates raw stored data into an instance of the class named by `className`.
+ */
+function hydrate(className, rawData) {
+  const modelData = Object.assign({}, rawData, { className });
+  const modelJSON = _.mapValues(modelData,
+    // Convert dates into JSON loadable representations
+    value => ((value instanceof Date) ? value.toJSON() : value)
+  );
+  return Parse.Object.fromJSON(modelJSON);
+}
+
+/**
+ * Clears the MockDB, any registered hooks, cloud functions and jobs, any class level
+ * permissions and the errors collected from after hooks.
  */
 function cleanUp() {
   db = {};
   hooks = {};
+  functions = {};
+  jobs = {};
+  classLevelPermissions = {};
+  hookErrors = [];
+}
+
+/**
+ * Lists the errors thrown by afterSave and afterDelete hooks, which do not fail the
+ * operation that triggered them.
+ *
+ * @returns {Object[]} `{ className, hookType, objectId, error }` entries, oldest first.
+ */
+function getHookErrors() {
+  return hookErrors.slice();
 }
 
 /**
  * Registers a hook on a class denoted by className.
  *
+ * Several hooks can be registered for the same class and hook type. They run one after
+ * the other in registration order, each one seeing the object (or query, or results)
+ * as left by the previous one. A rejection stops the chain, and aborts the operation
+ * in the case of a beforeX hook.
+ *
  * @param {string} className The name of the class to register hook on.
- * @param {string} hookType One of 'beforeSave', 'afterSave', 'beforeDelete', 'afterDelete'
+ * @param {string} hookType One of 'beforeSave', 'afterSave', 'beforeDelete', 'afterDelete',
+ *                          'beforeFind', 'afterFind', or 'beforeLogin' on _User and
+ *                          'afterLogout' on _Session
  * @param {function} hookFn Function that will be called with `this` bound to hydrated model.
- *                          Must return a promise.
- *
- * @note Only supports beforeSave, beforeDelete, and afterSave at the moment.
+ *                          May return a promise.
+ * @returns {function} A function unregistering the hook.
  */
 function registerHook(className, hookType, hookFn) {
   if (!hooks[className]) {
     hooks[className] = {};
   }
+  if (!hooks[className][hookType]) {
+    hooks[className][hookType] = [];
+  }
+
+  hooks[className][hookType].push(hookFn);
+  // eslint-disable-next-line no-use-before-define
+  return () => unregisterHook(className, hookType, hookFn);
+}
 
-  hooks[className][hookType] = hookFn;
+/**
+ * Unregisters a previously registered hook.
+ *
+ * @param {string} className The name of the class the hook is registered on.
+ * @param {string} hookType The type of the hook, see registerHook().
+ * @param {function} [hookFn] The hook to unregister. All hooks of `hookType` are
+ *                            unregistered if omitted.
+ */
+function unregisterHook(className, hookType, hookFn) {
+  if (hooks[className] && hooks[className][hookType]) {
+    if (hookFn) {
+      _.pull(hooks[className][hookType], hookFn);
+    } else {
+      delete hooks[className][hookType];
+    }
+  }
 }
 
 /**
- * Retrieves a previously registered hook.
+ * Retrieves the previously registered hooks, in registration order.
  *
- * @param {string} className The name of the class to get the hook on.
- * @param {string} hookType One of 'beforeSave', 'afterSave', 'beforeDelete', 'afterDelete'
+ * @param {string} className The name of the class to get the hooks on.
+ * @param {string} hookType The type of the hooks, see registerHook().
  */
-function getHook(className, hookType) {
+function getHooks(className, hookType) {
   if (hooks[className] && hooks[className][hookType]) {
-    return hooks[className][hookType];
+    return hooks[className][hookType].slice();
   }
-  return undefined;
+  return [];
+}
+
+/**
+ * Runs `hookFns` one after the other. Each one is run by `runOne`, which is given the value
+ * the previous one resolved to, starting with `initialValue`.
+ */
+function chainHooks(hookFns, initialValue, runOne) {
+  return hookFns.reduce(
+    (promise, hookFn) => promise.then(value => runOne(hookFn, value)),
+    Promise.resolve(initialValue)
+  );
+}
+
+/**
+ * Registers a cloud function that can be invoked through Parse.Cloud.run(name, params).
+ *
+ * @param {string} name The name of the cloud function.
+ * @param {function} functionFn Function that will be called with a request object holding
+ *                              `params`, `user`, `master`, `installationId`, `headers` and
+ *                              `log`. May return a value or a promise; a thrown or rejected
+ *                              Parse.Error is propagated to the caller.
+ */
+function registerFunction(name, functionFn) {
+  functions[name] = functionFn;
+}
+
+/**
+ * Registers a background job that can be started through Parse.Cloud.startJob(name, params)
+ * or runJob().
+ *
+ * @param {string} name The name of the job.
+ * @param {function} jobFn Function that will be called with a request object holding
+ *                         `params`, `jobName` and a `message(text)` function reporting progress.
+ *                         May return a promise; a string it resolves to becomes the final
+ *                         message of the job.
+ */
+function registerJob(name, jobFn) {
+  jobs[name] = jobFn;
 }
 
+/**
+ * Sets the user that requests without a session token are made on behalf of.
+ *
+ * @param {Parse.User} _user The user to mock, or null to make requests anonymous again.
+ */
 function mockUser(_user) {
   user = _user;
 }
 
-function makeRequestObject(original, model, useMasterKey) {
+/**
+ * Returns the session token a request is made with: the `sessionToken` request option,
+ * falling back to the token of the SDK's current user (if unsafe current user is enabled).
+ */
+function getSessionToken(options) {
+  if (options && options.sessionToken) {
+    return options.sessionToken;
+  }
+  const currentUser = Parse.User.current();
+  return currentUser ? currentUser.getSessionToken() : undefined;
+}
+
+/**
+ * Looks up the stored, unexpired _Session row denoted by `sessionToken`.
+ */
+function findSession(sessionToken) {
+  const now = new Date();
+  return _.find(getCollection('_Session'), session =>
+    session.sessionToken === sessionToken && deserializeQueryParam(session.expiresAt) > now
+  );
+}
+
+/**
+ * Resolves the user a request is made on behalf of: the owner of the request's session
+ * token, or the user set via `mockUser` if the request carries no session token.
+ *
+ * Throws if the session token is unknown or expired, like parse-server does.
+ */
+function getRequestUser(options) {
+  const sessionToken = getSessionToken(options);
+  if (!sessionToken) {
+    return user;
+  }
+
+  const session = findSession(sessionToken);
+  const storedUser = session && getCollection('_User')[session.user.objectId];
+  if (!storedUser) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'Invalid session token');
+  }
+
+  return hydrate('_User', Object.assign(
+    _.omit(_.cloneDeep(storedUser), HIDDEN_FIELDS._User),
+    { sessionToken }
+  ));
+}
+
+/**
+ * Returns true if the request was issued with the master key, either through the
+ * `useMasterKey` request option or through the SDK wide Parse.Cloud.useMasterKey().
+ */
+function isMasterRequest(options) {
+  if (options && options.useMasterKey !== undefined) {
+    return !!options.useMasterKey;
+  }
+  return !!Parse.CoreManager.get('USE_MASTER_KEY');
+}
+
+/**
+ * Returns the names of the roles the user denoted by `userId` belongs to: the roles
+ * containing the user in their `users` relation, and recursively the roles containing
+ * any of those in their `roles` relation (a role inherits the roles it is part of).
+ */
+function getUserRoleNames(userId) {
+  const roles = _.values(getCollection('_Role'));
+  const found = new Set();
+  let pending = _.filter(roles, role =>
+    _.some(role.users, pointer => pointer.objectId === userId)
+  );
+
+  while (pending.length > 0) {
+    const role = pending.shift();
+    if (!found.has(role)) {
+      found.add(role);
+      pending = pending.concat(_.filter(roles, parent =>
+        _.some(parent.roles, pointer => pointer.objectId === role.objectId)
+      ));
+    }
+  }
+
+  return Array.from(found).map(role => role.name);
+}
+
+/**
+ * Builds the authentication state of a request: whether it uses the master key,
+ * the current user, the names of their roles and the list of ACL entries (public,
+ * user id and roles) it can be granted permissions through.
+ */
+function makeAuth(options) {
+  const auth = {
+    master: isMasterRequest(options),
+    user: getRequestUser(options),
+    roles: [],
+    acl: ['*'],
+  };
+
+  if (auth.user && auth.user.id) {
+    auth.roles = getUserRoleNames(auth.user.id);
+    auth.acl.push(auth.user.id);
+    auth.roles.forEach(name => auth.acl.push(`role:${name}`));
+  }
+
+  return auth;
+}
+
+/**
+ * Evaluates the ACL stored on `object` for `permission` ('read' or 'write').
+ * Objects without an ACL are public, and master key requests bypass the check.
+ */
+function hasACLPermission(object, permission, auth) {
+  if (!object || !object.ACL || auth.master) {
+    return true;
+  }
+  return _.some(auth.acl, entry => !!object.ACL[entry] && !!object.ACL[entry][permission]);
+}
+
+/**
+ * Sets the class level permissions (CLP) of a class, using the same format as the
+ * parse-server schema API, e.g.
+ *
+ *   {
+ *     find: { '*': true },
+ *     get: { requiresAuthentication: true },
+ *     create: { 'role:Admin': true },
+ *     update: { pointerFields: ['owner'] },
+ *     readUserFields: ['owner'],
+ *   }
+ *
+ * @param {string} className The name of the class to set the permissions on.
+ * @param {Object} permissions Permissions keyed by operation, one of 'find', 'get', 'count',
+ *                             'create', 'update', 'delete' and 'addField'. Operations that are
+ *                             not specified are public.
+ */
+function setClassLevelPermissions(className, permissions) {
+  classLevelPermissions[className] = _.cloneDeep(permissions);
+}
+
+/**
+ * Retrieves the class level permissions previously set on a class.
+ *
+ * @param {string} className The name of the class to get the permissions of.
+ */
+function getClassLevelPermissions(className) {
+  return _.cloneDeep(classLevelPermissions[className]);
+}
+
+const READ_OPERATIONS = new Set(['get', 'find', 'count']);
+
+/**
+ * Validates the class level permissions of `className` for `operation`, following the
+ * rules of parse-server. Throws the Parse.Error parse-server would respond with when
+ * the operation is denied.
+ *
+ * Returns the pointer fields the operation is restricted to, i.e. the operation is only
+ * allowed on objects where one of these fields points to the current user. The list
+ * is empty when the operation is not restricted.
+ *
+ * @param {string} action The action ('create' or 'update') triggering an 'addField' check.
+ */
+function validateClassLevelPermission(className, operation, auth, action) {
+  const permissions = classLevelPermissions[className];
+  if (auth.master || !permissions || !permissions[operation]) {
+    return [];
+  }
+
+  const operationPermissions = permissions[operation];
+  // The public '*' entry is part of every ACL group
+  if (_.some(auth.acl, entry => operationPermissions[entry] === true)) {
+    return [];
+  }
+
+  if (operationPermissions.requiresAuthentication) {
+    if (!auth.user) {
+      throw new Parse.Error(
+        Parse.Error.OBJECT_NOT_FOUND,
+        'Permission denied, user needs to be authenticated.'
+      );
+    }
+    return [];
+  }
+
+  const forbidden = new Parse.Error(
+    Parse.Error.OPERATION_FORBIDDEN,
+    `Permission denied for action ${operation} on class ${className}.`
+  );
+
+  // Objects that don't exist yet can't be restricted by pointer fields
+  if (operation === 'create' || (operation === 'addField' && action !== 'update')) {
+    throw forbidden;
+  }
+
+  const userFields = READ_OPERATIONS.has(operation)
+    ? permissions.readUserFields
+    : permissions.writeUserFields;
+  const pointerFields = _.union(userFields, operationPermissions.pointerFields);
+  if (pointerFields.length === 0) {
+    throw forbidden;
+  }
+
+  return pointerFields;
+}
+
+/**
+ * Returns true if one of `pointerFields` of `object` points to the current user.
+ * An empty list of pointer fields doesn't restrict anything.
+ */
+function isPointerPermitted(object, pointerFields, auth) {
+  if (pointerFields.length === 0) {
+    return true;
+  }
+  if (!auth.user || !auth.user.id) {
+    return false;
+  }
+
+  const userPointer = { __type: 'Pointer', className: '_User', objectId: auth.user.id };
+  return _.some(pointerFields, field => objectsAreEqual(object[field], userPointer));
+}
+
+const DEFAULT_FIELDS = ['objectId', 'createdAt', 'updatedAt', 'ACL'];
+
+/**
+ * Returns the fields among `keys` that no object of the class denoted by `className`
+ * has ever been saved with, i.e. fields a write would add to the class schema.
+ */
+function getNewFields(className, keys) {
+  const knownFields = new Set(DEFAULT_FIELDS);
+  _.forEach(getCollection(className), object => {
+    Object.keys(object).forEach(key => knownFields.add(key));
+  });
+  return keys.filter(key => !knownFields.has(key));
+}
+
+/**
+ * Validates the 'addField' class level permission of a write introducing new fields.
+ */
+function validateAddFieldPermission(className, keys, auth, action) {
+  if (getNewFields(className, keys).length > 0) {
+    validateClassLevelPermission(className, 'addField', auth, action);
+  }
+}
+
+// Stands in for parse-server's logger on request objects. Logs only when DEBUG_DB is set.
+const CLOUD_LOGGER = ['log', 'error', 'warn', 'info', 'verbose', 'debug', 'silly'].reduce(
+  (logger, level) => Object.assign(logger, {
+    [level]: (...args) => debugPrint(`LOG ${level}`, args),
+  }),
+  {}
+);
+
+/**
+ * Builds the HTTP headers parse-server would have received for a request sent with `options`.
+ */
+function makeHeaders(options) {
+  const headers = {
+    'content-type': 'application/json',
+    'x-parse-application-id': Parse.CoreManager.get('APPLICATION_ID'),
+  };
+  if (isMasterRequest(options)) {
+    headers['x-parse-master-key'] = Parse.CoreManager.get('MASTER_KEY');
+  }
+  const sessionToken = getSessionToken(options);
+  if (sessionToken) {
+    headers['x-parse-session-token'] = sessionToken;
+  }
+  if (options.installationId) {
+    headers['x-parse-installation-id'] = options.installationId;
+  }
+  return Object.assign(headers, options.headers);
+}
+
+/**
+ * Builds the fields shared by the request objects handed to hooks and cloud functions.
+ */
+function makeBaseRequestObject(request) {
   return {
-    installationId: 'parse-mockdb',
-    master: useMasterKey,
+    installationId: request.options.installationId || 'parse-mockdb',
+    master: request.auth.master,
+    user: request.auth.user,
+    roles: request.auth.roles,
+    context: request.context,
+    headers: makeHeaders(request.options),
+    ip: request.options.ip || '127.0.0.1',
+    log: CLOUD_LOGGER,
+  };
+}
+
+function makeRequestObject(original, model, request, triggerName) {
+  return Object.assign(makeBaseRequestObject(request), {
+    triggerName,
     object: model,
     original,
-    user,
-  };
+  });
 }
 
 // Destructive. Takes data for update operation and removes all atomic operations.
@@ -279,18 +774,21 @@ function normalizePath(path) {
 const SPECIAL_CLASS_NAMES = {
   roles: '_Role',
   users: '_User',
+  sessions: '_Session',
   push: '_Push',
 };
 
 /**
  * Given a class name and a where clause, returns DB matches by applying
  * the where clause (recursively if nested)
+ *
+ * @param {Object} auth The authentication state of the request, which subqueries are run with.
  */
-function recursivelyMatch(className, where) {
+function recursivelyMatch(className, where, auth) {
   debugPrint('MATCH', { className, where });
   const collection = getCollection(className);
   // eslint-disable-next-line no-use-before-define
-  const matches = _.filter(_.values(collection), queryFilter(where));
+  const matches = _.filter(_.values(collection), queryFilter(where, auth));
   debugPrint('MATCHES', { matches });
   return _.cloneDeep(matches); // return copies instead of originals
 }
@@ -302,6 +800,145 @@ const RADIUS_OF_EARTH_MILES = 3958.8;
 // is provided; here we already convert this distance into radians
 const DEFAULT_MAX_DISTANCE = 100 / RADIUS_OF_EARTH_MILES;
 
+/**
+ * Builds a Parse.Polygon out of the vertices of a $polygon constraint, which may be an encoded
+ * Parse.Polygon or a list of GeoPoints.
+ */
+function toPolygon(vertices) {
+  if (vertices && vertices.__type === 'Polygon') {
+    return new Parse.Polygon(vertices.coordinates);
+  }
+  if (!Array.isArray(vertices) || vertices.length < 3) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_JSON, 'Polygon must have at least 3 GeoPoints or Points'
+    );
+  }
+  return new Parse.Polygon(vertices.map(vertex =>
+    (Array.isArray(vertex) ? vertex : [vertex.latitude, vertex.longitude])
+  ));
+}
+
+function isGeoPoint(object) {
+  return !!object && object.__type === 'GeoPoint';
+}
+
+// Anything but letters, accented or not, and digits separates words in full text searches
+const WORD_SEPARATOR = /[^\w\u00C0-\u024F]+/;
+
+/**
+ * Normalizes a text for a full text search according to its options, ie. lowercases it and
+ * strips its diacritics unless asked to be sensitive to them.
+ */
+function normalizeSearchText(text, search) {
+  let normalized = `${text}`;
+  if (!search.$caseSensitive) {
+    normalized = normalized.toLowerCase();
+  }
+  if (!search.$diacriticSensitive) {
+    normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+  return normalized.normalize('NFC');
+}
+
+/**
+ * Scores a text against a full text search, the way MongoDB's $text operator would match it:
+ * it must contain every "quoted phrase", none of the -negated words and, unless only
+ * phrases are searched for, at least one of the other words. Words are matched whole,
+ * without stemming.
+ *
+ * @returns {number} The number of occurrences of the searched words and phrases in the text,
+ *                   0 when the text doesn't match.
+ */
+function textScore(text, search) {
+  if (typeof text !== 'string') {
+    return 0;
+  }
+
+  const term = normalizeSearchText(search.$term, search);
+  const phrases = [];
+  const unquoted = term.replace(/"([^"]*)"/g, (quoted, phrase) => {
+    phrases.push(phrase.trim());
+    return ' ';
+  });
+  const words = unquoted.split(/\s+/);
+  const toWords = terms => _.flatMap(terms, t => t.split(WORD_SEPARATOR)).filter(w => w.length > 0);
+  const negatedWords = toWords(words.filter(word => word.charAt(0) === '-')
+    .map(word => word.substring(1)));
+  const searchedWords = toWords(words.filter(word => word.charAt(0) !== '-'));
+
+  const normalizedText = normalizeSearchText(text, search);
+  const textWords = normalizedText.split(WORD_SEPARATOR);
+  const countWord = word => textWords.filter(textWord => textWord === word).length;
+  const countPhrase = phrase => normalizedText.split(phrase).length - 1;
+
+  if (_.some(negatedWords, word => countWord(word) > 0)
+    || _.some(phrases, phrase => countPhrase(phrase) === 0)) {
+    return 0;
+  }
+  const wordScore = _.sumBy(searchedWords, countWord);
+  if (searchedWords.length > 0 && wordScore === 0) {
+    return 0;
+  }
+  return wordScore + _.sumBy(phrases, countPhrase);
+}
+
+/**
+ * Finds the full text search of a where clause, if any.
+ *
+ * @returns {Object} The searched `key` and the `search` options, or null.
+ */
+function findTextSearch(where) {
+  const key = _.findKey(where, params => params && typeof params === 'object' && params.$text);
+  return key ? { key, search: where[key].$text.$search } : null;
+}
+
+/**
+ * Whether a value matches a value selected by a $select subquery. Like MongoDB's $in, an array
+ * value matches when it equals the selected array or contains the selected value.
+ */
+function selectedValueMatches(operand, selectedValue) {
+  if (Array.isArray(selectedValue)) {
+    return _.isEqual(operand, selectedValue)
+      || (Array.isArray(operand) && _.some(operand, value => _.isEqual(value, selectedValue)));
+  }
+  const selectedDate = deserializeQueryParam(selectedValue);
+  if (operand instanceof Date && selectedDate instanceof Date) {
+    return operand.getTime() === selectedDate.getTime();
+  }
+  return objectsAreEqual(operand, selectedValue);
+}
+
+/**
+ * Finds the $nearSphere constraints of a where clause, including those of its $and and $or
+ * subclauses, in the order they appear.
+ *
+ * @returns {Object[]} The `key` and geo `point` of each constraint.
+ */
+function findNearSpheres(where) {
+  return _.flatMap(where, (params, key) => {
+    if (key === '$and' || key === '$or') {
+      return _.flatMap(params, findNearSpheres);
+    }
+    if (params && typeof params === 'object' && params.$nearSphere) {
+      return [{ key, point: new Parse.GeoPoint(params.$nearSphere) }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Sorts the matches of $nearSphere constraints from nearest to furthest, objects without
+ * a location coming last.
+ */
+function sortByDistance(matches, nearSpheres) {
+  return _.sortBy(matches, nearSpheres.map(nearSphere => (match) => {
+    const location = _.get(match, nearSphere.key);
+    return isGeoPoint(location)
+      ? new Parse.GeoPoint(location).radiansTo(nearSphere.point)
+      : Infinity;
+  }));
+}
+
 /**
  * Operators for queries
  *
@@ -323,17 +960,27 @@ const QUERY_OPERATORS = {
     const regex = _.clone(value.$regex).replace(QUOTE_REGEXP, '');
     return (new RegExp(regex, value.$options).test(operand));
   },
-  $select: (operand, value) => {
+  $select: (operand, value, additionalArgs) => {
     const foreignKey = value.key;
-    const query = value.query;
-    const matches = recursivelyMatch(query.className, query.where);
-    const objectMatches = _.filter(matches, match => match[foreignKey] === operand);
-    return objectMatches.length;
+    // eslint-disable-next-line no-use-before-define
+    const matches = runSubquery(value.query, additionalArgs.auth);
+    return _.some(matches, match => selectedValueMatches(operand, _.get(match, foreignKey)));
   },
-  $inQuery: (operand, query) => {
-    const matches = recursivelyMatch(query.className, query.where);
-    return _.find(matches, match => operand && match.objectId === operand.objectId);
+  $dontSelect: (operand, value, additionalArgs) =>
+    !QUERY_OPERATORS.$select(operand, value, additionalArgs),
+  $inQuery: (operand, query, additionalArgs) => {
+    // eslint-disable-next-line no-use-before-define
+    const matches = runSubquery(query, additionalArgs.auth);
+    const pointers = _.filter(Array.isArray(operand) ? operand : [operand], pointer =>
+      !!pointer && pointer.className === query.className
+    );
+    return _.some(matches, match =>
+      _.some(pointers, pointer => pointer.objectId === match.objectId)
+    );
   },
+  $notInQuery: (operand, query, additionalArgs) =>
+    !QUERY_OPERATORS.$inQuery(operand, query, additionalArgs),
+  $text: (operand, value) => textScore(operand, value.$search) > 0,
   $all: (operand, value) =>
     _.every(value, obj1 => _.some(operand, obj2 => objectsAreEqual(obj1, obj2))),
   $relatedTo: (operand, value) => {
@@ -372,6 +1019,32 @@ const QUERY_OPERATORS = {
 
     return new Parse.GeoPoint(operand).radiansTo(new Parse.GeoPoint(value)) <= maxDistance;
   },
+  $within: (operand, value) => {
+    const southwest = value.$box[0];
+    const northeast = value.$box[1];
+    if (southwest.latitude > northeast.latitude) {
+      throw new Parse.Error(
+        Parse.Error.INVALID_JSON, 'GeoBox upper-right corner is below bottom-left corner.'
+      );
+    }
+    return isGeoPoint(operand)
+      && operand.latitude >= southwest.latitude && operand.latitude <= northeast.latitude
+      && operand.longitude >= southwest.longitude && operand.longitude <= northeast.longitude;
+  },
+  $geoWithin: (operand, value) => {
+    if (!isGeoPoint(operand)) {
+      return false;
+    }
+    if (value.$centerSphere) {
+      const center = value.$centerSphere[0]; // [longitude, latitude]
+      const centerPoint = new Parse.GeoPoint(center[1], center[0]);
+      return new Parse.GeoPoint(operand).radiansTo(centerPoint) <= value.$centerSphere[1];
+    }
+    return toPolygon(value.$polygon).containsPoint(new Parse.GeoPoint(operand));
+  },
+  $geoIntersects: (operand, value) =>
+    !!operand && operand.__type === 'Polygon'
+      && new Parse.Polygon(operand.coordinates).containsPoint(new Parse.GeoPoint(value.$point)),
   // ignore these additional parameters for the $nearSphere op
   $maxDistance: () => true,
   $maxDistanceInRadians: () => true,
@@ -379,7 +1052,7 @@ const QUERY_OPERATORS = {
   $maxDistanceInMiles: () => true,
 };
 
-function evaluateObject(object, whereParams, key) {
+function evaluateObject(object, whereParams, key, auth) {
   const nestedKeys = key.split('.');
   if (nestedKeys.length > 1) {
     for (let i = 0; i < nestedKeys.length - 1; i++) {
@@ -408,7 +1081,7 @@ function evaluateObject(object, whereParams, key) {
 
     // $maxDistance... is not an operator for itself but just an additional parameter
     // for the $nearSphere operator, so we have to fetch this value in advance.
-    const args = {};
+    const args = { auth };
     if (whereParams) {
       args.maxDistanceInRadians = whereParams.$maxDistance || whereParams.$maxDistanceInRadians;
       if ('$maxDistanceInKilometers' in whereParams) {
@@ -440,35 +1113,83 @@ function evaluateObject(object, whereParams, key) {
 
 
 /**
- * Returns a function that filters query matches on a where clause
+ * Operators combining the where clauses they are given, as built by Parse.Query.or(),
+ * Parse.Query.and() and Parse.Query.nor()
  */
-function queryFilter(where) {
-  if (where.$or) {
-    return object =>
-      _.reduce(where.$or, (result, subclause) => result ||
-        queryFilter(subclause)(object), false);
-  }
+const COMPOUND_OPERATORS = {
+  $or: (object, subclauses, auth) =>
+    // eslint-disable-next-line no-use-before-define
+    _.some(subclauses, subclause => queryFilter(subclause, auth)(object)),
+  $and: (object, subclauses, auth) =>
+    // eslint-disable-next-line no-use-before-define
+    _.every(subclauses, subclause => queryFilter(subclause, auth)(object)),
+  $nor: (object, subclauses, auth) =>
+    // eslint-disable-next-line no-use-before-define
+    !_.some(subclauses, subclause => queryFilter(subclause, auth)(object)),
+};
 
-  // Go through each key in where clause
-  return object => _.reduce(where, (result, whereParams, key) => {
-    const match = evaluateObject(object, whereParams, key);
+/**
+ * Returns a function that filters query matches on a where clause
+ *
+ * @param {Object} auth The authentication state of the request, which subqueries are run with.
+ */
+function queryFilter(where, auth) {
+  const resolvedWhere = resolveRelativeTimes(where);
+  // Go through each key in where clause, compound operators being ANDed with their siblings
+  return object => _.reduce(resolvedWhere, (result, whereParams, key) => {
+    const match = (key in COMPOUND_OPERATORS)
+      ? COMPOUND_OPERATORS[key](object, whereParams, auth)
+      : evaluateObject(object, whereParams, key, auth);
     return result && match;
   }, true);
 }
 
-function handleRequest(method, path, body) {
+/**
+ * Takes the context of a request out of its `options` or, as sent by recent SDKs, out of the
+ * `_context` field of its body.
+ */
+function extractContext(body, options) {
+  let context = options && options.context;
+  if (body && body._context) {
+    context = context || body._context;
+    delete body._context;
+  }
+  return Object.assign({}, context);
+}
+
+/**
+ * Builds the request handed to handlers: the class and object the path points to, and who is
+ * making the request.
+ */
+function makeRequest(method, path, body, options) {
   const explodedPath = normalizePath(path).split('/');
   const start = explodedPath.shift();
   const className = start === 'classes' ? explodedPath.shift() : SPECIAL_CLASS_NAMES[start];
 
-  const request = {
+  return {
     method,
     className,
     data: body,
     objectId: explodedPath.shift(),
+    options: options || {},
+    auth: makeAuth(options),
+    // Shared by the hooks of the request, eg. from beforeSave to afterSave
+    context: extractContext(body, options),
   };
+}
+
+function handleRequest(method, path, body, options) {
+  const normalizedPath = normalizePath(path);
+  const start = normalizedPath.split('/')[0];
 
   try {
+    const request = makeRequest(method, path, body, options);
+
+    // eslint-disable-next-line no-use-before-define
+    const route = ROUTES[normalizedPath] || ROUTES[start];
+    if (route && route[method]) {
+      return route[method](request);
+    }
     // eslint-disable-next-line no-use-before-define
     return HANDLERS[method](request);
   } catch (e) {
@@ -483,41 +1204,131 @@ function respond(status, response) {
   };
 }
 
+function isErrorResponse(result) {
+  return result.status >= 400;
+}
+
+/**
+ * Turns an error thrown while handling a request, eg. by a hook, into the body of an error
+ * response.
+ */
+function toErrorResponse(error) {
+  // eslint-disable-next-line no-use-before-define
+  const parseError = toScriptError(error);
+  return { code: parseError.code, error: parseError.message };
+}
+
+/**
+ * Returns the path of the Parse server URL, which the paths of batched requests start with,
+ * eg. '/1/' or '/parse/'.
+ */
+function getServerPath() {
+  const serverUrl = (Parse.CoreManager.get('SERVER_URL') || '').replace(/\/?$/, '/');
+  const withoutProtocol = serverUrl.replace(/^https?:\/\//, '');
+  return withoutProtocol.substring(withoutProtocol.indexOf('/'));
+}
+
+/**
+ * Whether a request, with its path relative to the server URL, targets an endpoint of the mock.
+ */
+function isRoutable(method, path) {
+  const explodedPath = path.split('/');
+  const start = explodedPath[0];
+  // eslint-disable-next-line no-use-before-define
+  const route = ROUTES[path] || ROUTES[start];
+  if (route) {
+    return !!route[method];
+  }
+  const isClassPath = start === 'classes';
+  const className = isClassPath ? explodedPath[1] : SPECIAL_CLASS_NAMES[start];
+  // eslint-disable-next-line no-use-before-define
+  return !!className && !!HANDLERS[method] && explodedPath.length <= (isClassPath ? 3 : 2);
+}
+
 /**
  * Batch requests have the following form: {
  *  requests: [
  *      { method, path, body },
- *   ]
+ *   ],
+ *  transaction: true, // optional
  * }
+ *
+ * Requests run one after the other, in order. A transactional batch fails as a whole at the
+ * first failing request, the DB being restored as it was before the batch. Otherwise each
+ * request gets its own `{ success }` or `{ error }` result.
  */
-function handleBatchRequest(unused1, unused2, data) {
-  const requests = data.requests;
-  const getResults = requests.map(request => {
-    const method = request.method;
-    const path = request.path;
-    const body = request.body;
-    return handleRequest(method, path, body)
-      .then(result => Promise.resolve({ success: result.response }));
+function handleBatchRequest(unused1, unused2, data, options) {
+  const requests = data.requests || [];
+  if (requests.length > maxBatchSize) {
+    return Promise.reject(new Parse.Error(
+      Parse.Error.INVALID_JSON, `Cannot process more than ${maxBatchSize} requests in a batch.`
+    ));
+  }
+
+  const serverPath = getServerPath();
+  const invalidRequest = _.find(requests, request =>
+    typeof request.path !== 'string' || request.path.indexOf(serverPath) !== 0
+      || !isRoutable(request.method, request.path.substring(serverPath.length))
+  );
+  if (invalidRequest) {
+    return Promise.reject(new Parse.Error(
+      Parse.Error.INVALID_JSON, `cannot route batch path ${invalidRequest.path}`
+    ));
+  }
+
+  const transaction = data.transaction === true;
+  const snapshot = transaction ? _.cloneDeep(db) : null;
+  const runRequest = request => handleRequest(
+    request.method, request.path.substring(serverPath.length), request.body, options
+  ).then((result) => {
+    if (!isErrorResponse(result)) {
+      return { success: result.response };
+    }
+    if (transaction) {
+      throw new Parse.Error(result.response.code, result.response.error);
+    }
+    return { error: result.response };
+  }, (error) => {
+    if (transaction) {
+      throw error;
+    }
+    return { error: toErrorResponse(error) };
   });
 
-  return Promise.all(getResults).then(results => respond(200, results));
+  return requests.reduce((promise, request) => promise.then(results =>
+    runRequest(request).then(result => results.concat([result]))
+  ), Promise.resolve([]))
+    .then(results => respond(200, results))
+    .catch((error) => {
+      // eslint-disable-next-line no-use-before-define
+      const parseError = toScriptError(error);
+      if (transaction) {
+        db = snapshot;
+      }
+      throw parseError;
+    });
 }
 
 /**
  * Given an object, a pointer, or a JSON representation of a Parse Object,
  * return a fully fetched version of the Object.
+ *
+ * Objects the request is not allowed to read are not fetched: their pointer is returned as is.
  */
-function fetchObjectByPointer(pointer) {
+function fetchObjectByPointer(pointer, auth) {
   const collection = getCollection(pointer.className);
   const storedItem = collection[pointer.objectId];
 
   if (storedItem === undefined) {
     return undefined;
   }
+  if (!hasACLPermission(storedItem, 'read', auth)) {
+    return { __type: 'Pointer', className: pointer.className, objectId: pointer.objectId };
+  }
 
   return Object.assign(
     { __type: 'Object', className: pointer.className },
-    _.cloneDeep(storedItem)
+    _.omit(_.cloneDeep(storedItem), Array.from(getMask(pointer.className)))
   );
 }
 
@@ -525,7 +1336,7 @@ function fetchObjectByPointer(pointer) {
  * Recursive function that traverses an include path and replaces pointers
  * with fully fetched objects
  */
-function includePaths(object, pathsRemaining) {
+function includePaths(object, pathsRemaining, auth) {
   debugPrint('INCLUDE', { object, pathsRemaining });
   const path = pathsRemaining.shift();
   const target = object && object[path];
@@ -533,19 +1344,23 @@ function includePaths(object, pathsRemaining) {
   if (target) {
     if (Array.isArray(target)) {
       object[path] = target.map(item => {
-        if (item.className) {
+        if (item && item.className) {
           // This is a pointer or an object
-          const fetched = fetchObjectByPointer(item);
-          includePaths(fetched, _.cloneDeep(pathsRemaining));
+          const fetched = fetchObjectByPointer(item, auth);
+          includePaths(fetched, _.cloneDeep(pathsRemaining), auth);
           return fetched;
         }
+        if (_.isPlainObject(item)) {
+          // Objects nested in arrays may hold pointers of their own
+          return includePaths(item, _.cloneDeep(pathsRemaining), auth);
+        }
         return item;
       });
     } else {
       if (object[path].__type === 'Pointer') {
-        object[path] = fetchObjectByPointer(target);
+        object[path] = fetchObjectByPointer(target, auth);
       }
-      includePaths(object[path], pathsRemaining);
+      includePaths(object[path], pathsRemaining, auth);
     }
   }
 
@@ -555,18 +1370,27 @@ function includePaths(object, pathsRemaining) {
 /**
  * Given a set of matches of a GET query (e.g. find()), returns fully
  * fetched Parse Objects that include the nested objects requested by
- * Parse.Query.include()
+ * Parse.Query.include(). Including '*' (Parse.Query.includeAll()) includes
+ * every pointer field of the matches, one level deep.
+ *
+ * @param {Object} auth The authentication state of the request, whose ACLs included objects
+ *                      are subject to.
  */
-function queryMatchesAfterIncluding(matches, includeClause) {
+function queryMatchesAfterIncluding(matches, includeClause, auth) {
   if (!includeClause) {
     return matches;
   }
 
   const includeClauses = includeClause.split(',');
   matches = _.map(matches, match => {
-    for (let i = 0; i < includeClauses.length; i++) {
-      const paths = includeClauses[i].split('.');
-      match = includePaths(match, paths);
+    let matchClauses = includeClauses;
+    if (_.includes(includeClauses, '*')) {
+      const pointerFields = Object.keys(match).filter(key => isPointer(match[key]));
+      matchClauses = _.without(includeClauses, '*').concat(pointerFields);
+    }
+    for (let i = 0; i < matchClauses.length; i++) {
+      const paths = matchClauses[i].split('.');
+      match = includePaths(match, paths, auth);
     }
     return match;
   });
@@ -574,6 +1398,61 @@ function queryMatchesAfterIncluding(matches, includeClause) {
   return matches;
 }
 
+// Sent whatever the keys selected by a query
+const ALWAYS_SELECTED_KEYS = ['objectId', 'createdAt', 'updatedAt', 'ACL'];
+
+/**
+ * Adds the pointers that dotted selected keys go through, eg. `author` for `author.name`, to an
+ * include clause, as parse-server does.
+ */
+function includeSelectedPointers(includeClause, keys) {
+  const impliedIncludes = (keys ? keys.split(',') : [])
+    .filter(key => key.indexOf('.') > 0)
+    .map(key => key.substring(0, key.lastIndexOf('.')));
+  const includes = _.uniq((includeClause ? includeClause.split(',') : []).concat(impliedIncludes));
+  return includes.length > 0 ? includes.join(',') : includeClause;
+}
+
+/**
+ * Picks the fields of an object denoted by `paths`, split dotted keys, going into included
+ * objects for the paths having several components.
+ */
+function selectPaths(object, paths) {
+  const selected = _.pick(object, ALWAYS_SELECTED_KEYS.concat(['__type', 'className']));
+  _.forEach(_.groupBy(paths, _.first), (keyPaths, key) => {
+    if (!(key in object)) {
+      return;
+    }
+    const value = object[key];
+    const subpaths = keyPaths.filter(path => path.length > 1).map(path => path.slice(1));
+    const isIncludedObject = !!value && value.__type === 'Object';
+    selected[key] = (isIncludedObject && subpaths.length === keyPaths.length)
+      ? selectPaths(value, subpaths)
+      : value;
+  });
+  return selected;
+}
+
+/**
+ * Applies the `keys` and `excludeKeys` of a query to one of its results. Selecting `$score`
+ * selects the score of a full text search.
+ */
+function projectKeys(object, keys, excludeKeys) {
+  let projected = object;
+  if (typeof keys === 'string') {
+    const paths = keys.split(',')
+      .filter(key => key.length > 0)
+      .map(key => (key === '$score' ? 'score' : key).split('.'));
+    projected = selectPaths(object, paths);
+  }
+  if (excludeKeys) {
+    excludeKeys.split(',')
+      .filter(key => ALWAYS_SELECTED_KEYS.indexOf(key) === -1)
+      .forEach(key => _.unset(projected, key));
+  }
+  return projected;
+}
+
 /**
  * Sort query results if necessary
  */
@@ -587,6 +1466,11 @@ function sortQueryresults(matches, order) {
       dir = 'desc';
     }
 
+    // Like parse-server, text search scores are always sorted from the best one
+    if (key === '$score') {
+      return [item => item.$score, 'desc'];
+    }
+
     return [item => deserializeQueryParam(item[key]), dir];
   });
 
@@ -596,123 +1480,532 @@ function sortQueryresults(matches, order) {
   return _.orderBy(matches, keys, orders);
 }
 
+/**
+ * Runs a subquery of $select, $dontSelect, $inQuery or $notInQuery, honoring its order, skip
+ * and limit. Like the query itself, it only matches rows the request is allowed to read.
+ */
+function runSubquery(query, auth) {
+  let matches = recursivelyMatch(query.className, query.where || {}, auth)
+    .filter(match => hasACLPermission(match, 'read', auth));
+  const nearSpheres = findNearSpheres(query.where || {});
+  if (query.order) {
+    matches = sortQueryresults(matches, query.order);
+  } else if (nearSpheres.length > 0) {
+    matches = sortByDistance(matches, nearSpheres);
+  }
+  // Unlike the query itself, a subquery isn't limited by default
+  const startIndex = query.skip || 0;
+  const endIndex = (query.limit >= 0) ? startIndex + query.limit : undefined;
+  return matches.slice(startIndex, endIndex);
+}
+
+/**
+ * Serializes a hydrated object into the JSON representation the server responds with,
+ * with any change made to it applied rather than sent as an operation.
+ */
+function dehydrate(object) {
+  const json = object.toJSON();
+  _.forIn(json, (value, key) => {
+    if (isOp(value)) {
+      if (object.has(key)) {
+        json[key] = Parse._encode(object.get(key));
+      } else {
+        delete json[key];
+      }
+    }
+  });
+  return json;
+}
+
+function makeFindRequestObject(request, triggerName, fields) {
+  return Object.assign(makeBaseRequestObject(request), { triggerName }, fields);
+}
+
+/**
+ * Runs the beforeFind hooks of a class, if any, on the query described by `data`.
+ *
+ * Each hook receives the query hydrated into a Parse.Query, which it may modify in place or
+ * replace by returning another query. Resolves to the JSON representation of the query
+ * to run.
+ */
+function runBeforeFindHook(className, data, request, isGet) {
+  return chainHooks(getHooks(className, 'beforeFind'), data, (hook, queryJSON) => {
+    const requestObject = makeFindRequestObject(request, 'beforeFind', {
+      query: Parse.Query.fromJSON(className, _.cloneDeep(queryJSON)),
+      isGet,
+      count: !!queryJSON.count,
+    });
+
+    return Promise.resolve().then(() => hook(requestObject)).then((beforeFindOverrideValue) => {
+      debugPrint('HOOK', { beforeFindOverrideValue });
+      const query = beforeFindOverrideValue instanceof Parse.Query
+        ? beforeFindOverrideValue
+        : requestObject.query;
+      return query.toJSON();
+    });
+  });
+}
+
+/**
+ * Runs the afterFind hooks of a class, if any, on the JSON results of a query.
+ *
+ * Each hook receives the results hydrated into Parse.Objects and may return a transformed
+ * list of objects. Resolves to the JSON results to respond with.
+ */
+function runAfterFindHook(className, results, request, query, isGet) {
+  const hookFns = getHooks(className, 'afterFind');
+  if (hookFns.length === 0) {
+    return Promise.resolve(results);
+  }
+
+  const objects = results.map(result => hydrate(className, result));
+  return chainHooks(hookFns, objects, (hook, currentObjects) => {
+    const requestObject = makeFindRequestObject(request, 'afterFind', {
+      objects: currentObjects,
+      query: Parse.Query.fromJSON(className, _.cloneDeep(query)),
+      isGet,
+    });
+
+    return Promise.resolve().then(() => hook(requestObject)).then((afterFindOverrideValue) => {
+      debugPrint('HOOK', { afterFindOverrideValue });
+      return Array.isArray(afterFindOverrideValue) ? afterFindOverrideValue : currentObjects;
+    });
+  }).then(finalObjects => finalObjects.map(object =>
+    ((object instanceof Parse.Object) ? dehydrate(object) : object)
+  ));
+}
+
+/**
+ * Handles a GET request for a single object (Parse.Object.fetch())
+ */
+function handleGetByIdRequest(request) {
+  const objId = request.objectId;
+  const className = request.className;
+  const pointerFields = validateClassLevelPermission(className, 'get', request.auth);
+  const notFound = respond(404, {
+    code: 101,
+    error: 'object not found for update',
+  });
+
+  const fetchQuery = Object.assign({}, request.data, { where: { objectId: objId } });
+  return runBeforeFindHook(className, fetchQuery, request, true)
+    .then(query => {
+      const collection = getCollection(className);
+      const currentObject = collection[objId];
+      if (!currentObject || !hasACLPermission(currentObject, 'read', request.auth)
+        || !isPointerPermitted(currentObject, pointerFields, request.auth)
+        || !queryFilter(query.where, request.auth)(currentObject)) {
+        return Promise.resolve(notFound);
+      }
+      // Selected and included keys come from the query, as beforeFind hooks left it
+      const toOmit = Array.from(getMask(className));
+      const included = queryMatchesAfterIncluding(
+        [_.omit(_.cloneDeep(currentObject), toOmit)],
+        includeSelectedPointers(query.include, query.keys),
+        request.auth
+      )[0];
+      const match = projectKeys(included, query.keys, query.excludeKeys);
+
+      return runAfterFindHook(className, [match], request, query, true)
+        .then(results => (results.length > 0 ? respond(200, results[0]) : notFound));
+    });
+}
+
+/**
+ * Returns the class level permission operation a query is subject to. Like parse-server,
+ * queries on nothing but an objectId (Parse.Query.get()) are checked against 'get'.
+ */
+function getReadOperation(data) {
+  if (data.count) {
+    return 'count';
+  }
+  const where = data.where || {};
+  const isGet = _.isEqual(Object.keys(where), ['objectId']) && typeof where.objectId === 'string';
+  return isGet ? 'get' : 'find';
+}
+
 /**
  * Handles a GET request (Parse.Query.find(), get(), first(), Parse.Object.fetch())
  */
 function handleGetRequest(request) {
-  const objId = request.objectId;
+  if (request.objectId) {
+    return handleGetByIdRequest(request);
+  }
+
   const className = request.className;
-  if (objId) {
-    // Object.fetch() query
-    const collection = getCollection(className);
-    const currentObject = collection[objId];
-    if (!currentObject) {
-      return Promise.resolve(respond(404, {
-        code: 101,
-        error: 'object not found for update',
-      }));
+  const pointerFields = validateClassLevelPermission(
+    className, getReadOperation(request.data), request.auth
+  );
+
+  return runBeforeFindHook(className, request.data, request, false).then(data => {
+    indirect = data.redirectClassNameForKey;
+    let matches = recursivelyMatch(className, data.where, request.auth);
+    let matchesClassName = '';
+    if (indirect) {
+      matches = outOfBandResults.matches;
+      if (outOfBandResults.className) {
+        matchesClassName = outOfBandResults.className;
+      }
     }
-    let match = _.cloneDeep(currentObject);
 
-    if (match) {
-      const toOmit = Array.from(getMask(className));
-      match = _.omit(match, toOmit);
+    // Rows the current user is not allowed to read are never part of the results
+    matches = matches.filter(match => hasACLPermission(match, 'read', request.auth)
+      && isPointerPermitted(match, pointerFields, request.auth));
+
+    if (data.count) {
+      return Promise.resolve(respond(200, { count: matches.length }));
     }
 
-    return Promise.resolve(respond(200, match));
+    matches = queryMatchesAfterIncluding(
+      matches, includeSelectedPointers(data.include, data.keys), request.auth
+    );
+
+    const toOmit = Array.from(getMask(className));
+    matches = matches.map((match) => _.omit(match, toOmit));
+
+    // TODO: Can we just call toJSON() in order to avoid this?
+    matches.forEach(match => {
+      if (match.createdAt) {
+        match.createdAt = match.createdAt.toJSON();
+      }
+      if (match.updatedAt) {
+        match.updatedAt = match.updatedAt.toJSON();
+      }
+    });
+
+    // Full text searches score their matches, the score being only sent when selected
+    const textSearch = findTextSearch(data.where || {});
+    if (textSearch) {
+      matches.forEach(match => {
+        match.$score = textScore(_.get(match, textSearch.key), textSearch.search);
+      });
+    }
+
+    // sort results if necessary, geo queries being sorted by distance by default
+    const nearSpheres = findNearSpheres(data.where || {});
+    if (data.order && data.order.length > 0 && matches.length > 0) {
+      matches = sortQueryresults(matches, data.order);
+    } else if (nearSpheres.length > 0) {
+      matches = sortByDistance(matches, nearSpheres);
+    }
+
+    if (textSearch) {
+      const selectsScore = _.includes((data.keys || '').split(','), '$score');
+      matches.forEach(match => {
+        if (selectsScore) {
+          match.score = match.$score;
+        }
+        delete match.$score;
+      });
+    }
+
+    matches = matches.map(match => projectKeys(match, data.keys, data.excludeKeys));
+
+    // A limit of 0 is honored, eg. by Parse.Object.fetchAllIfNeeded() when nothing needs fetching
+    const limit = _.isNil(data.limit) ? DEFAULT_LIMIT : data.limit;
+    const startIndex = data.skip || 0;
+    const endIndex = startIndex + limit;
+    const resultsClassName = matchesClassName || className;
+
+    return runAfterFindHook(
+      resultsClassName, matches.slice(startIndex, endIndex), request, data, false
+    ).then(results => {
+      const response = { results };
+
+      // Add the class name for the outgoing objects to the response if sepcified
+      if (matchesClassName.length > 0) {
+        response.className = matchesClassName;
+      }
+
+      return respond(200, response);
+    });
+  });
+}
+
+/**
+ * Resolves a field path of an aggregation expression, where `_id` stands for `objectId`.
+ */
+function getAggregateField(doc, path) {
+  return _.get(doc, path.replace(/^_id(?=\.|$)/, 'objectId'));
+}
+
+const EXPRESSION_OPERATORS = {
+  $add: values => _.sum(values),
+  $subtract: values => values[0] - values[1],
+  $multiply: values => values.reduce((product, value) => product * value, 1),
+  $divide: values => values[0] / values[1],
+  $mod: values => values[0] % values[1],
+  $concat: values => values.join(''),
+  $toLower: value => `${_.isNil(value) ? '' : value}`.toLowerCase(),
+  $toUpper: value => `${_.isNil(value) ? '' : value}`.toUpperCase(),
+  $size: value => value.length,
+  $ifNull: values => (_.isNil(values[0]) ? values[1] : values[0]),
+};
+
+/**
+ * Evaluates an aggregation expression against a document: '$field' references, operators
+ * such as { $add: [...] } and literals, possibly nested in objects and arrays.
+ */
+function evaluateExpression(doc, expression) {
+  if (typeof expression === 'string' && expression.charAt(0) === '$') {
+    return getAggregateField(doc, expression.substring(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluateExpression(doc, item));
   }
-  const data = request.data;
-  indirect = data.redirectClassNameForKey;
-  let matches = recursivelyMatch(className, data.where);
-  let matchesClassName = '';
-  if (indirect) {
-    matches = outOfBandResults.matches;
-    if (outOfBandResults.className) {
-      matchesClassName = outOfBandResults.className;
+  if (expression && typeof expression === 'object' && !(expression instanceof Date)) {
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0] === '$literal') {
+      return expression.$literal;
+    }
+    if (keys.length === 1 && keys[0] in EXPRESSION_OPERATORS) {
+      return EXPRESSION_OPERATORS[keys[0]](evaluateExpression(doc, expression[keys[0]]));
     }
+    return _.mapValues(expression, value => evaluateExpression(doc, value));
   }
+  return expression;
+}
+
+const ACCUMULATORS = {
+  $sum: values => _.sum(values.filter(_.isNumber)),
+  $avg: (values) => {
+    const numbers = values.filter(_.isNumber);
+    return numbers.length > 0 ? _.mean(numbers) : null;
+  },
+  $min: (values) => {
+    const present = values.filter(value => !_.isNil(value));
+    return present.length > 0 ? present.reduce((min, value) => (value < min ? value : min)) : null;
+  },
+  $max: (values) => {
+    const present = values.filter(value => !_.isNil(value));
+    return present.length > 0 ? present.reduce((max, value) => (value > max ? value : max)) : null;
+  },
+  $push: values => values.filter(value => value !== undefined),
+  $addToSet: values => _.uniqWith(values.filter(value => value !== undefined), _.isEqual),
+  $first: values => (values.length > 0 ? values[0] : null),
+  $last: values => (values.length > 0 ? values[values.length - 1] : null),
+};
+
+function groupStage(docs, spec) {
+  const idExpression = ('_id' in spec) ? spec._id : spec.objectId;
+  const groups = [];
+  docs.forEach((doc) => {
+    const key = evaluateExpression(doc, idExpression);
+    let group = _.find(groups, candidate => _.isEqual(candidate.key, _.isNil(key) ? null : key));
+    if (!group) {
+      group = { key: _.isNil(key) ? null : key, docs: [] };
+      groups.push(group);
+    }
+    group.docs.push(doc);
+  });
 
-  if (request.data.count) {
-    return Promise.resolve(respond(200, { count: matches.length }));
+  return groups.map(group => _.reduce(_.omit(spec, ['_id', 'objectId']), (result, field, name) => {
+    const operator = Object.keys(field)[0];
+    if (!(operator in ACCUMULATORS)) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid accumulator: ${operator}`);
+    }
+    const values = group.docs.map(doc => evaluateExpression(doc, field[operator]));
+    return Object.assign(result, { [name]: ACCUMULATORS[operator](values) });
+  }, { objectId: group.key }));
+}
+
+function projectStage(docs, spec) {
+  const fields = _.mapKeys(spec, (value, key) => (key === '_id' ? 'objectId' : key));
+  const isExclusion = _.every(fields, value => value === 0 || value === false);
+  if (isExclusion) {
+    return docs.map(doc => _.omit(doc, Object.keys(fields)));
   }
 
-  matches = queryMatchesAfterIncluding(matches, data.include);
+  return docs.map(doc => _.reduce(fields, (result, value, key) => {
+    if (value === 0 || value === false) {
+      return _.omit(result, key);
+    }
+    const projected = (value === 1 || value === true)
+      ? getAggregateField(doc, key)
+      : evaluateExpression(doc, value);
+    return projected === undefined ? result : _.set(result, key, projected);
+  }, { objectId: doc.objectId }));
+}
 
-  const toOmit = Array.from(getMask(className));
-  matches = matches.map((match) => _.omit(match, toOmit));
+function unwindStage(docs, spec) {
+  const options = (typeof spec === 'string') ? { path: spec } : spec;
+  const path = options.path.substring(1);
+  return docs.reduce((results, doc) => {
+    const values = _.get(doc, path);
+    if (Array.isArray(values) && values.length > 0) {
+      return results.concat(values.map((value, index) => {
+        const unwound = _.set(_.cloneDeep(doc), path, value);
+        return options.includeArrayIndex
+          ? _.set(unwound, options.includeArrayIndex, index)
+          : unwound;
+      }));
+    }
+    if (options.preserveNullAndEmptyArrays) {
+      const unwound = _.cloneDeep(doc);
+      if (Array.isArray(values)) {
+        _.unset(unwound, path);
+      }
+      return results.concat([
+        options.includeArrayIndex ? _.set(unwound, options.includeArrayIndex, null) : unwound,
+      ]);
+    }
+    if (!_.isNil(values) && !Array.isArray(values)) {
+      return results.concat([doc]);
+    }
+    return results;
+  }, []);
+}
+
+/**
+ * Filters documents on a where clause. Objects of the clause are matched as pointers, and the
+ * dates of the documents are matched in their encoded form, like the clause holds them.
+ */
+function matchStage(docs, where, auth) {
+  const pointerWhere = _.cloneDeepWith(where, value =>
+    ((value instanceof Parse.Object) ? value.toPointer() : undefined)
+  );
+  const filter = queryFilter(Parse._encode(pointerWhere), auth);
+  return docs.filter(doc => filter(_.cloneDeepWith(doc, value =>
+    ((value instanceof Date) ? Parse._encode(value) : undefined)
+  )));
+}
+
+const AGGREGATE_STAGES = {
+  $match: matchStage,
+  $project: projectStage,
+  $group: groupStage,
+  $sort: (docs, spec) => _.orderBy(
+    docs,
+    Object.keys(spec).map(key => doc => getAggregateField(doc, key)),
+    Object.keys(spec).map(key => (spec[key] < 0 ? 'desc' : 'asc'))
+  ),
+  $skip: (docs, skip) => docs.slice(skip),
+  $limit: (docs, limit) => docs.slice(0, limit),
+  $unwind: unwindStage,
+  $count: (docs, name) => [{ [name]: docs.length }],
+};
+
+/**
+ * Runs an aggregation pipeline over the documents of a class. Dates are handled as Date
+ * objects while the pipeline runs.
+ */
+function runPipeline(className, pipeline, auth) {
+  const stages = Array.isArray(pipeline)
+    ? pipeline
+    : Object.keys(pipeline).map(key => ({ [key]: pipeline[key] }));
+  const docs = _.values(getCollection(className)).map(doc =>
+    _.cloneDeepWith(doc, value => (isDate(value) ? new Date(value.iso) : undefined))
+  );
 
-  // TODO: Can we just call toJSON() in order to avoid this?
-  matches.forEach(match => {
-    if (match.createdAt) {
-      match.createdAt = match.createdAt.toJSON();
+  return stages.reduce((results, stage) => {
+    const name = Object.keys(stage)[0];
+    // parse-server also accepts stage names without their $ prefix
+    const stageFn = AGGREGATE_STAGES[name.charAt(0) === '$' ? name : `$${name}`];
+    if (!stageFn) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid parameter for query: ${name}`);
     }
-    if (match.updatedAt) {
-      match.updatedAt = match.updatedAt.toJSON();
+    return stageFn(results, stage[name], auth);
+  }, docs);
+}
+
+/**
+ * Serializes a document coming out of an aggregation like parse-server does: createdAt and
+ * updatedAt as ISO strings, any other Date in its encoded form.
+ */
+function encodeAggregateResult(doc) {
+  return _.mapValues(doc, (value, key) => {
+    if ((key === 'createdAt' || key === 'updatedAt') && value instanceof Date) {
+      return value.toJSON();
     }
+    return Parse._encode(value);
   });
+}
 
-  // sort results if necessary
-  if (data.order && data.order.length > 0 && matches.length > 0) {
-    matches = sortQueryresults(matches, data.order);
-  }
-
-  const limit = data.limit || DEFAULT_LIMIT;
-  const startIndex = data.skip || 0;
-  const endIndex = startIndex + limit;
-  const response = { results: matches.slice(startIndex, endIndex) };
+/**
+ * Lists the distinct values of a (possibly dotted) field among the objects matching `where`.
+ * Like MongoDB, the elements of array values are counted as values of their own.
+ */
+function findDistinctValues(className, fieldName, where, auth) {
+  const values = _.flatMap(recursivelyMatch(className, where || {}, auth), (match) => {
+    const value = _.get(match, fieldName);
+    return Array.isArray(value) ? value : [value];
+  });
+  return _.uniqWith(values.filter(value => !_.isNil(value)), _.isEqual)
+    .map(value => Parse._encode(value));
+}
 
-  // Add the class name for the outgoing objects to the response if sepcified
-  if (matchesClassName.length > 0) {
-    response.className = matchesClassName;
+/**
+ * Handles an aggregate request (Parse.Query.aggregate(), Parse.Query.distinct())
+ */
+function handleAggregateRequest(request) {
+  if (!request.auth.master) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'unauthorized: master key is required');
   }
-
-  return Promise.resolve(respond(200, response));
+  const className = request.objectId; // aggregate/<className>
+  const data = request.data || {};
+  if (data.distinct) {
+    const where = data.where && Parse._encode(data.where);
+    return Promise.resolve(respond(200, {
+      results: findDistinctValues(className, data.distinct, where, request.auth),
+    }));
+  }
+  const results = runPipeline(className, data.pipeline || [], request.auth);
+  return Promise.resolve(respond(200, { results: results.map(encodeAggregateResult) }));
 }
 
 /**
- * Executes a registered hook with data provided.
+ * Executes the registered hooks with data provided, in registration order.
  *
  * Hydrates the data into an instance of the class named by `className` param and binds it to the
- * function to be run.
+ * function to be run. beforeSave hooks are given the data as modified by the previous hook.
  *
- * @param {string} className The name of the class to get the hook on.
+ * @param {string} className The name of the class to get the hooks on.
  * @param {string} hookType One of 'beforeSave', 'afterSave', 'beforeDelete', 'afterDelete'
  * @param {Object} data The Data that is to be hydrated into an instance of className class.
+ * @param {Object} request The request that triggered the hooks.
  */
-function runHook(className, hookType, data) {
-  let hook = getHook(className, hookType);
-  if (hook) {
-    const hydrate = (rawData) => {
-      const modelData = Object.assign({}, rawData, { className });
-      const modelJSON = _.mapValues(modelData,
-        // Convert dates into JSON loadable representations
-        value => ((value instanceof Date) ? value.toJSON() : value)
-      );
-      return Parse.Object.fromJSON(modelJSON);
-    };
-    const model = hydrate(data, className);
-    hook = hook.bind(model);
+function runHook(className, hookType, data, request) {
+  return chainHooks(getHooks(className, hookType), data, (hookFn, currentData) => {
+    const model = hydrate(className, currentData);
+    const hook = hookFn.bind(model);
 
     const collection = getCollection(className);
     let original;
     if (collection[model.id]) {
-      original = hydrate(collection[model.id]);
+      original = hydrate(className, collection[model.id]);
     }
-    // TODO Stub out Parse.Cloud.useMasterKey() so that we can report the correct 'master'
-    // value here.
-    return hook(makeRequestObject(original, model, false)).then((beforeSaveOverrideValue) => {
+    const requestObject = makeRequestObject(original, model, request, hookType);
+    // Hooks written for parse-server may run synchronously and return nothing
+    return Promise.resolve().then(() => hook(requestObject)).then((beforeSaveOverrideValue) => {
       debugPrint('HOOK', { beforeSaveOverrideValue });
 
       // Unlike BeforeDeleteResponse, BeforeSaveResponse might specify
-      let objectToProceedWith = model;
-      if (hookType === 'beforeSave' && beforeSaveOverrideValue) {
-        objectToProceedWith = beforeSaveOverrideValue.toJSON();
+      let objectToProceedWith = currentData;
+      if (hookType === 'beforeSave') {
+        // Without an override value, the object modified by the hook is saved
+        const savedModel = (beforeSaveOverrideValue instanceof Parse.Object)
+          ? beforeSaveOverrideValue
+          : model;
+        objectToProceedWith = savedModel.toJSON();
       }
 
       return Promise.resolve(objectToProceedWith);
     });
-  }
-  return Promise.resolve(data);
+  });
+}
+
+/**
+ * Executes the registered afterSave, afterDelete or afterLogout hooks. As with parse-server, their
+ * failure does not fail the operation: errors are collected for getHookErrors() instead.
+ *
+ * Resolves once the hooks are done, unless mockDB() was told not to await them.
+ */
+function runAfterHook(className, hookType, data, request) {
+  const promise = runHook(className, hookType, data, request).catch((error) => {
+    debugPrint('HOOK ERROR', { className, hookType, error });
+    hookErrors.push({ className, hookType, objectId: data.objectId, error });
+  });
+  return awaitAfterHooks ? promise : Promise.resolve();
 }
 
 function getChangedKeys(originalObject, updatedObject) {
@@ -734,8 +2027,11 @@ function handlePostRequest(request) {
   const className = request.className;
   const collection = getCollection(className);
 
+  validateClassLevelPermission(className, 'create', request.auth);
+  validateAddFieldPermission(className, Object.keys(request.data), request.auth, 'create');
+
   let newObject;
-  return runHook(className, 'beforeSave', request.data).then(result => {
+  return runHook(className, 'beforeSave', request.data, request).then(result => {
     const changedKeys = getChangedKeys(request.data, result);
 
     const newId = crypto.newObjectId();
@@ -749,6 +2045,12 @@ function handlePostRequest(request) {
     );
 
     applyOps(newObject, ops, className);
+    // eslint-disable-next-line no-use-before-define
+    applyClassRules(className, newObject);
+    // Like parse-server, users are only writable by themselves unless given another ACL
+    if (className === '_User' && !newObject.ACL) {
+      newObject.ACL = { '*': { read: true }, [newId]: { read: true, write: true } };
+    }
     const toOmit = ['updatedAt'].concat(Array.from(getMask(className)));
     const toPick = Object.keys(ops).concat(changedKeys);
 
@@ -759,11 +2061,16 @@ function handlePostRequest(request) {
       { objectId: newId, createdAt: result.createdAt.toJSON() }
     );
 
+    // Signing up logs the new user in
+    if (className === '_User') {
+      // eslint-disable-next-line no-use-before-define
+      response.sessionToken = createSession(newId, 'signup', request.options).sessionToken;
+    }
+
     return Promise.resolve(respond(201, response));
-  }).then((result) => {
-    runHook(className, 'afterSave', newObject);
-    return result;
-  });
+  }).then(result =>
+    runAfterHook(className, 'afterSave', newObject, request).then(() => result)
+  );
 }
 
 function handlePutRequest(request) {
@@ -776,13 +2083,19 @@ function handlePutRequest(request) {
 
   const ops = extractOps(data);
 
-  if (!currentObject) {
+  const pointerFields = validateClassLevelPermission(className, 'update', request.auth);
+  if (!currentObject || !hasACLPermission(currentObject, 'write', request.auth)
+    || !isPointerPermitted(currentObject, pointerFields, request.auth)) {
     return Promise.resolve(respond(404, {
       code: 101,
       error: 'object not found for put',
     }));
   }
 
+  validateAddFieldPermission(
+    className, Object.keys(data).concat(Object.keys(ops)), request.auth, 'update'
+  );
+
   const updatedObject = Object.assign(
     _.cloneDeep(currentObject),
     data,
@@ -792,29 +2105,313 @@ function handlePutRequest(request) {
   applyOps(updatedObject, ops, className);
   const toOmit = ['createdAt', 'objectId'].concat(Array.from(getMask(className)));
 
-  return runHook(className, 'beforeSave', updatedObject).then(result => {
+  let savedObject;
+  return runHook(className, 'beforeSave', updatedObject, request).then(result => {
     const changedKeys = getChangedKeys(updatedObject, result);
 
-    collection[request.objectId] = updatedObject;
+    // The object as modified by the beforeSave hooks is the one stored, their operations
+    // applying to the values being saved
+    const hookOps = extractOps(result);
+    savedObject = Object.assign(
+      _.cloneDeep(updatedObject), result, { createdAt: currentObject.createdAt, updatedAt: now }
+    );
+    applyOps(savedObject, hookOps, className);
+    // eslint-disable-next-line no-use-before-define
+    applyClassRules(className, savedObject);
+    collection[request.objectId] = savedObject;
     const response = Object.assign(
-      _.cloneDeep(_.omit(_.pick(result, Object.keys(ops).concat(changedKeys)), toOmit)),
+      _.cloneDeep(_.omit(_.pick(savedObject, Object.keys(ops).concat(changedKeys)), toOmit)),
       { updatedAt: now.toJSON() }
     );
     return Promise.resolve(respond(200, response));
-  }).then((result) => {
-    runHook(className, 'afterSave', updatedObject);
-    return result;
-  });
+  }).then(result =>
+    runAfterHook(className, 'afterSave', savedObject, request).then(() => result)
+  );
 }
 
 function handleDeleteRequest(request) {
   const collection = getCollection(request.className);
   const objToDelete = collection[request.objectId];
 
-  return runHook(request.className, 'beforeDelete', objToDelete).then(() => {
+  const pointerFields = validateClassLevelPermission(request.className, 'delete', request.auth);
+  if (!objToDelete || !hasACLPermission(objToDelete, 'write', request.auth)
+    || !isPointerPermitted(objToDelete, pointerFields, request.auth)) {
+    return Promise.resolve(respond(404, {
+      code: 101,
+      error: 'object not found for delete',
+    }));
+  }
+
+  return runHook(request.className, 'beforeDelete', objToDelete, request).then(() => {
     delete collection[request.objectId];
     return Promise.resolve(respond(200, {}));
+  }).then(result =>
+    runAfterHook(request.className, 'afterDelete', objToDelete, request).then(() => result)
+  );
+}
+
+function hashPassword(password) {
+  return crypto.md5Hash(password);
+}
+
+/**
+ * Applies the rules of the _User class to a user about to be stored: usernames and
+ * emails must be unique, and the password is only ever stored hashed.
+ */
+function applyUserRules(object) {
+  const otherUsers = _.filter(getCollection('_User'), stored =>
+    stored.objectId !== object.objectId
+  );
+
+  if (object.username && _.some(otherUsers, stored => stored.username === object.username)) {
+    throw new Parse.Error(
+      Parse.Error.USERNAME_TAKEN,
+      'Account already exists for this username.'
+    );
+  }
+  if (object.email && _.some(otherUsers, stored => stored.email === object.email)) {
+    throw new Parse.Error(
+      Parse.Error.EMAIL_TAKEN,
+      'Account already exists for this email address.'
+    );
+  }
+
+  if (object.password !== undefined) {
+    object._hashed_password = hashPassword(object.password);
+    delete object.password;
+  }
+}
+
+/**
+ * Applies the rules of the _Role class to a role about to be stored: role names
+ * must be unique.
+ */
+function applyRoleRules(object) {
+  const otherRoles = _.filter(getCollection('_Role'), stored =>
+    stored.objectId !== object.objectId
+  );
+
+  if (_.some(otherRoles, stored => stored.name === object.name)) {
+    throw new Parse.Error(
+      Parse.Error.DUPLICATE_VALUE,
+      'A duplicate value for a field with unique values was provided'
+    );
+  }
+}
+
+const CLASS_RULES = {
+  _User: applyUserRules,
+  _Role: applyRoleRules,
+};
+
+/**
+ * Applies the rules of special classes to an object about to be stored. Throws if the
+ * object violates them.
+ */
+function applyClassRules(className, object) {
+  if (CLASS_RULES[className]) {
+    CLASS_RULES[className](object);
+  }
+}
+
+/**
+ * Creates and stores a new _Session for the user denoted by `userId`, only readable and
+ * writable by that user.
+ *
+ * @param {string} action How the session was created, 'signup' or 'login'.
+ */
+function createSession(userId, action, options) {
+  const now = new Date();
+  const session = {
+    objectId: crypto.newObjectId(),
+    sessionToken: `r:${crypto.newToken()}`,
+    user: { __type: 'Pointer', className: '_User', objectId: userId },
+    createdWith: { action, authProvider: 'password' },
+    restricted: false,
+    installationId: options.installationId,
+    ACL: { [userId]: { read: true, write: true } },
+    expiresAt: { __type: 'Date', iso: new Date(now.getTime() + SESSION_LENGTH_MS).toJSON() },
+    createdAt: now,
+    updatedAt: now,
+  };
+  getCollection('_Session')[session.objectId] = session;
+  return session;
+}
+
+/**
+ * Returns the representation of a stored user sent to the client when logging in.
+ */
+function makeUserResponse(storedUser, sessionToken) {
+  const response = _.omit(_.cloneDeep(storedUser), Array.from(getMask('_User')));
+  response.createdAt = storedUser.createdAt.toJSON();
+  response.updatedAt = storedUser.updatedAt.toJSON();
+  response.sessionToken = sessionToken;
+  return response;
+}
+
+/**
+ * Handles a login request (Parse.User.logIn())
+ */
+function handleLoginRequest(request) {
+  const data = request.data || {};
+  if (!data.username) {
+    throw new Parse.Error(Parse.Error.USERNAME_MISSING, 'username/email is required.');
+  }
+  if (!data.password) {
+    throw new Parse.Error(Parse.Error.PASSWORD_MISSING, 'password is required.');
+  }
+
+  const storedUser = _.find(getCollection('_User'), stored => stored.username === data.username);
+  if (!storedUser || storedUser._hashed_password !== hashPassword(data.password)) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Invalid username/password.');
+  }
+
+  const userData = _.omit(storedUser, HIDDEN_FIELDS._User);
+  return runHook('_User', 'beforeLogin', userData, request).then(() => {
+    const session = createSession(storedUser.objectId, 'login', request.options);
+    return respond(200, makeUserResponse(storedUser, session.sessionToken));
+  });
+}
+
+/**
+ * Handles a request for the user of the session token (Parse.User.become(), Parse.User.me())
+ */
+function handleMeRequest(request) {
+  const sessionToken = getSessionToken(request.options);
+  if (!sessionToken) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'Invalid session token');
+  }
+
+  const storedUser = getCollection('_User')[request.auth.user.id];
+  return Promise.resolve(respond(200, makeUserResponse(storedUser, sessionToken)));
+}
+
+/**
+ * Handles a logout request (Parse.User.logOut()) by destroying the session
+ */
+function handleLogoutRequest(request) {
+  const session = findSession(getSessionToken(request.options));
+  if (session) {
+    delete getCollection('_Session')[session.objectId];
+    return runAfterHook('_Session', 'afterLogout', session, request).then(() => respond(200, {}));
+  }
+  return Promise.resolve(respond(200, {}));
+}
+
+/**
+ * Encodes the result of a cloud function for the response, keeping Parse.Objects whole
+ * instead of turning them into pointers.
+ */
+function encodeResult(value) {
+  if (value instanceof Parse.Object) {
+    return Object.assign({ __type: 'Object', className: value.className }, dehydrate(value));
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeResult);
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, encodeResult);
+  }
+  return Parse._encode(value);
+}
+
+/**
+ * Converts anything a cloud function threw or rejected with into the Parse.Error
+ * sent back to the caller.
+ */
+function toScriptError(error) {
+  if (error instanceof Parse.Error) {
+    return error;
+  }
+  const message = (error instanceof Error) ? error.message : error;
+  return new Parse.Error(Parse.Error.SCRIPT_FAILED, message);
+}
+
+/**
+ * Handles a cloud function call (Parse.Cloud.run())
+ */
+function handleFunctionRequest(request) {
+  const functionName = request.objectId; // functions/<name>
+  const functionFn = functions[functionName];
+  if (!functionFn) {
+    throw new Parse.Error(Parse.Error.SCRIPT_FAILED, `Invalid function: "${functionName}"`);
+  }
+
+  const requestObject = Object.assign(makeBaseRequestObject(request), {
+    params: Parse._decode(null, request.data || {}),
+    functionName,
   });
+
+  return Promise.resolve()
+    .then(() => functionFn(requestObject))
+    .then(result => respond(200, { result: encodeResult(result) }), error => {
+      throw toScriptError(error);
+    });
+}
+
+/**
+ * Starts the job named by the request path (jobs/<name>), recording its progress in a new
+ * _JobStatus object.
+ *
+ * @returns {Object} The `jobStatusId` and a `done` promise, resolved once the job finished.
+ */
+function startJob(request) {
+  const jobName = request.objectId; // jobs/<name>
+  const jobFn = jobs[jobName];
+  if (!jobFn) {
+    throw new Parse.Error(Parse.Error.SCRIPT_FAILED, 'Invalid job.');
+  }
+
+  const now = new Date();
+  const params = request.data || {};
+  const jobStatus = {
+    objectId: crypto.newObjectId(),
+    jobName,
+    source: 'api',
+    status: 'running',
+    params: _.cloneDeep(params),
+    startedAt: { __type: 'Date', iso: now.toJSON() },
+    createdAt: now,
+    updatedAt: now,
+  };
+  getCollection('_JobStatus')[jobStatus.objectId] = jobStatus;
+
+  const updateJobStatus = fields => Object.assign(jobStatus, fields, { updatedAt: new Date() });
+  const finish = (status, message) => {
+    const fields = { status, finishedAt: { __type: 'Date', iso: new Date().toJSON() } };
+    const text = (message instanceof Error) ? message.message : message;
+    if (typeof text === 'string') {
+      fields.message = text;
+    }
+    updateJobStatus(fields);
+  };
+
+  const requestObject = Object.assign(makeBaseRequestObject(request), {
+    params: Parse._decode(null, params),
+    jobName,
+    message: (message) => {
+      updateJobStatus({ message: `${message}` });
+      return Promise.resolve();
+    },
+  });
+
+  const done = Promise.resolve()
+    .then(() => jobFn(requestObject))
+    .then(result => finish('succeeded', result), error => finish('failed', error))
+    .then(() => jobStatus.objectId);
+
+  return { jobStatusId: jobStatus.objectId, done };
+}
+
+/**
+ * Handles a job start request (Parse.Cloud.startJob()). Like parse-server, responds without
+ * waiting for the job to finish.
+ */
+function handleJobRequest(request) {
+  if (!request.auth.master) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'unauthorized: master key is required');
+  }
+  return Promise.resolve(respond(200, startJob(request).jobStatusId));
 }
 
 const HANDLERS = {
@@ -824,21 +2421,35 @@ const HANDLERS = {
   DELETE: handleDeleteRequest,
 };
 
+// Endpoints that don't map to a class, by path or by the first segment of their path
+const ROUTES = {
+  login: { GET: handleLoginRequest, POST: handleLoginRequest },
+  logout: { POST: handleLogoutRequest },
+  'users/me': { GET: handleMeRequest },
+  functions: { POST: handleFunctionRequest },
+  jobs: { POST: handleJobRequest },
+  aggregate: { GET: handleAggregateRequest },
+};
+
 const MockRESTController = {
   request: (method, path, data, options) => {
     let result;
     if (path === 'batch') {
       debugPrint('BATCH', { method, path, data, options });
-      result = handleBatchRequest(method, path, data);
+      result = handleBatchRequest(method, path, data, options);
     } else {
       debugPrint('REQUEST', { method, path, data, options });
-      result = handleRequest(method, path, data);
+      result = handleRequest(method, path, data, options);
     }
 
     return result.then(finalResult => {
       // Status of database after handling request above
       debugPrint('DB', db);
       debugPrint('RESPONSE', finalResult.response);
+      if (isErrorResponse(finalResult)) {
+        const error = finalResult.response;
+        return Promise.reject(new Parse.Error(error.code, error.error));
+      }
       return Promise.resolve(finalResult.response);
     });
   },
@@ -847,26 +2458,107 @@ const MockRESTController = {
   },
 };
 
+const CLOUD_TRIGGERS = [
+  'beforeSave', 'afterSave', 'beforeDelete', 'afterDelete', 'beforeFind', 'afterFind',
+];
+
+/**
+ * Returns the class name denoted by a class name or a Parse.Object subclass, as accepted
+ * by the parse-server Parse.Cloud triggers.
+ */
+function getClassName(parseClass) {
+  if (typeof parseClass === 'function') {
+    return parseClass.className || new parseClass().className;
+  }
+  return parseClass;
+}
+
+/**
+ * Builds a parse-server like Parse.Cloud API registering triggers, cloud functions and jobs
+ * on the mock.
+ */
+function makeCloudFacade() {
+  const facade = {
+    define: registerFunction,
+    job: registerJob,
+    beforeLogin: hookFn => registerHook('_User', 'beforeLogin', hookFn),
+    afterLogout: hookFn => registerHook('_Session', 'afterLogout', hookFn),
+  };
+
+  CLOUD_TRIGGERS.forEach(trigger => {
+    facade[trigger] = (parseClass, hookFn) =>
+      registerHook(getClassName(parseClass), trigger, hookFn);
+  });
+
+  return facade;
+}
+
+/**
+ * Runs a registered job with the master key and waits for it to finish, successfully or not.
+ *
+ * @param {string} name The name of the job.
+ * @param {Object} [params] The parameters of the job.
+ * @returns {Promise<Parse.Object>} The _JobStatus of the run, whose `status` is 'succeeded' or
+ *                                  'failed'.
+ */
+function runJob(name, params) {
+  return Promise.resolve()
+    .then(() => {
+      const request = makeRequest('POST', `jobs/${name}`, Parse._encode(params || {}), {
+        useMasterKey: true,
+      });
+      return startJob(request).done;
+    })
+    .then(jobStatusId => hydrate('_JobStatus', getCollection('_JobStatus')[jobStatusId]));
+}
+
 /**
  * Mocks a Parse API server, by intercepting requests and storing/querying data locally
  * in an in-memory DB.
+ *
+ * @param {Object} parseModule The Parse SDK to mock.
+ * @param {Object} [options]
+ * @param {boolean} [options.cloud] Installs Parse.Cloud.beforeSave(), define(), job() and the
+ *                                  other cloud code registration functions of parse-server,
+ *                                  so that cloud code can be loaded unchanged.
+ * @param {boolean} [options.awaitAfterHooks=true] Whether saves and deletes resolve only
+ *                                                 once their afterSave and afterDelete
+ *                                                 hooks are done.
+ * @param {number} [options.maxBatchSize=50] The number of requests above which batches
+ *                                           are rejected.
  */
-function mockDB(parseModule) {
+function mockDB(parseModule, options) {
   Parse = parseModule;
   if (!mocked) {
     defaultController = Parse.CoreManager.getRESTController();
     mocked = true;
     Parse.CoreManager.setRESTController(MockRESTController);
+    awaitAfterHooks = !(options && options.awaitAfterHooks === false);
+    maxBatchSize = (options && options.maxBatchSize) || DEFAULT_MAX_BATCH_SIZE;
+
+    if (options && options.cloud) {
+      const facade = makeCloudFacade();
+      defaultCloud = _.pick(Parse.Cloud, Object.keys(facade));
+      Object.assign(Parse.Cloud, facade);
+    }
   }
 }
 
 /**
- * Restores the original RESTController.
+ * Restores the original RESTController and Parse.Cloud.
  */
 function unMockDB() {
   if (mocked) {
     Parse.CoreManager.setRESTController(defaultController);
     mocked = false;
+
+    if (defaultCloud) {
+      Object.keys(makeCloudFacade()).forEach(key => {
+        delete Parse.Cloud[key];
+      });
+      Object.assign(Parse.Cloud, defaultCloud);
+      defaultCloud = null;
+    }
   }
 }
 
@@ -875,7 +2567,14 @@ const MockDB = {
   unMockDB,
   cleanUp,
   registerHook,
+  unregisterHook,
+  registerFunction,
+  registerJob,
+  runJob,
+  getHookErrors,
   mockUser,
+  setClassLevelPermissions,
+  getClassLevelPermissions,
 };
 
 module.exports = MockDB;
@@ -60,12 +60,43 @@ function createUserP(name) {
   return user.save();
 }
 
+/**
+ * Saves users with the given names before each test of the calling context, handing them to
+ * `setUsers` so tests can act as them through ParseMockDB.mockUser(), which is reset after
+ * each test.
+ */
+function actAsUsers(names, setUsers) {
+  beforeEach(() =>
+    Parse.Object.saveAll(names.map(name => new Parse.User({ name }))).then(setUsers)
+  );
+
+  afterEach(() => {
+    ParseMockDB.mockUser(null);
+  });
+}
+
+function expectError(promise, code) {
+  return promise.then(() => {
+    assert.fail(null, null, 'should have been rejected');
+  }, (error) => {
+    assert.equal(error.code, code);
+  });
+}
+
 function itemQueryP(price) {
   const query = new Parse.Query(Item);
   query.equalTo('price', price);
   return query.find();
 }
 
+function namesP(query) {
+  return query.find().then(items => items.map(item => item.get('name')));
+}
+
+function sortedNamesP(query) {
+  return namesP(query).then(names => names.sort());
+}
+
 function behavesLikeParseObjectOnBeforeSave(typeName, ParseObjectOrUserSubclass) {
   context('when object has beforeSave hook registered', () => {
     function beforeSavePromise(request) {
@@ -172,7 +203,10 @@ function behavesLikeParseObjectOnBeforeDelete(typeName, ParseObjectOrUserSubclas
       ).then(() => {
         assert.fail(null, null, 'should not have deleted');
       }, (error) => {
-        assert.equal(error, 'whoah');
+        // Like parse-server, the batch reports the error of each failed request
+        assert.equal(error.code, Parse.Error.AGGREGATE_ERROR);
+        assert.equal(error.errors[0].code, Parse.Error.SCRIPT_FAILED);
+        assert.equal(error.errors[0].message, 'whoah');
         return new Parse.Query(ParseObjectOrUserSubclass).find();
       }).then((results) => {
         assert.equal(results.length, 1);
@@ -181,6 +215,61 @@ function behavesLikeParseObjectOnBeforeDelete(typeName, ParseObjectOrUserSubclas
   });
 }
 
+function behavesLikeParseObjectOnAfterDelete(typeName, ParseObjectOrUserSubclass) {
+  context('when object has afterDelete hook registered', () => {
+    let objectsInAfterDelete;
+
+    beforeEach(() => {
+      objectsInAfterDelete = [];
+    });
+
+    function afterDeletePromise(request) {
+      objectsInAfterDelete.push(request.object);
+      return new Parse.Query(ParseObjectOrUserSubclass).get(request.object.id).then(() => {
+        assert.fail(null, null, 'should have been deleted before the hook ran');
+      }, () => Promise.resolve());
+    }
+
+    it('runs the hook after deleting the object', () => {
+      ParseMockDB.registerHook(typeName, 'afterDelete', afterDeletePromise);
+
+      return new ParseObjectOrUserSubclass({ name: 'deleted' }).save()
+        .then(savedObject => savedObject.destroy().then(() => {
+          assert.equal(objectsInAfterDelete.length, 1);
+          assert.equal(objectsInAfterDelete[0].id, savedObject.id);
+          assert.equal(objectsInAfterDelete[0].get('name'), 'deleted');
+        }));
+    });
+
+    it('runs the hook for objects deleted in a batch', () => {
+      ParseMockDB.registerHook(typeName, 'afterDelete', afterDeletePromise);
+
+      const objects = [new ParseObjectOrUserSubclass(), new ParseObjectOrUserSubclass()];
+      return Parse.Object.saveAll(objects)
+        .then(savedObjects => Parse.Object.destroyAll(savedObjects))
+        .then(() => {
+          assert.deepEqual(
+            objectsInAfterDelete.map(object => object.id).sort(),
+            objects.map(object => object.id).sort()
+          );
+        });
+    });
+
+    it('does not run the hook if the delete is rejected', () => {
+      ParseMockDB.registerHook(typeName, 'beforeDelete', () => Promise.reject('whoah'));
+      ParseMockDB.registerHook(typeName, 'afterDelete', afterDeletePromise);
+
+      return new ParseObjectOrUserSubclass().save()
+        .then(savedObject => savedObject.destroy())
+        .then(() => {
+          assert.fail(null, null, 'should not have deleted');
+        }, () => {
+          assert.equal(objectsInAfterDelete.length, 0);
+        });
+    });
+  });
+}
+
 function behavesLikeParseObjectOnAfterSave(typeName, ParseObjectOrUserSubclass) {
   context('when object has afterSave hook registered', () => {
     let didAfterSave;
@@ -243,6 +332,18 @@ function behavesLikeParseObjectOnAfterSave(typeName, ParseObjectOrUserSubclass)
             assert(!!savedObject.id);
           });
         });
+
+        it('collects the error', () => {
+          const object = new ParseObjectOrUserSubclass();
+          return object.save().then((savedObject) => {
+            const errors = ParseMockDB.getHookErrors();
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0].className, typeName);
+            assert.equal(errors[0].hookType, 'afterSave');
+            assert.equal(errors[0].objectId, savedObject.id);
+            assert.equal(errors[0].error.message, 'Something went wrong');
+          });
+        });
       });
     });
 
@@ -320,6 +421,16 @@ describe('ParseMock', () => {
   });
 
   context('supports Parse.User subclasses', () => {
+    // Users only grant write access to themselves, so the shared hook behaviors, which save
+    // users without logging them in, update and delete them with the master key.
+    beforeEach(() => {
+      Parse.CoreManager.set('USE_MASTER_KEY', true);
+    });
+
+    afterEach(() => {
+      Parse.CoreManager.set('USE_MASTER_KEY', false);
+    });
+
     it('should save user', () =>
       createUserP('Tom').then((user) => {
         assert.equal(user.get('name'), 'Tom');
@@ -338,6 +449,7 @@ describe('ParseMock', () => {
 
     behavesLikeParseObjectOnBeforeSave('_User', CustomUserSubclass);
     behavesLikeParseObjectOnBeforeDelete('_User', CustomUserSubclass);
+    behavesLikeParseObjectOnAfterDelete('_User', CustomUserSubclass);
     behavesLikeParseObjectOnAfterSave('_User', CustomUserSubclass);
   });
 
@@ -592,7 +704,76 @@ describe('ParseMock', () => {
     })
   );
 
-  xit('should sort matches of a geo query from nearest to furthest', () =>
+  context('when running geo queries', () => {
+    // Roughly around Stuttgart, Heidelberg and Frankfurt
+    const stuttgart = new Parse.GeoPoint(48.78, 9.18);
+    const heidelberg = new Parse.GeoPoint(49.4, 8.67);
+    const frankfurt = new Parse.GeoPoint(50.11, 8.68);
+
+    beforeEach(() => Promise.all([
+      createItemP(1, null, { name: 'stuttgart', location: stuttgart }),
+      createItemP(2, null, { name: 'heidelberg', location: heidelberg }),
+      createItemP(3, null, { name: 'frankfurt', location: frankfurt }),
+      createItemP(4, null, { name: 'nowhere' }),
+    ]));
+
+    it('should match items within a geo box', () =>
+      sortedNamesP(new Parse.Query(Item).withinGeoBox(
+        'location', new Parse.GeoPoint(48, 8), new Parse.GeoPoint(49.5, 9.5)
+      )).then((names) => {
+        assert.deepEqual(names, ['heidelberg', 'stuttgart']);
+      })
+    );
+
+    it('should reject a geo box whose corners are swapped', () =>
+      new Parse.Query(Item).withinGeoBox(
+        'location', new Parse.GeoPoint(49.5, 9.5), new Parse.GeoPoint(48, 8)
+      ).find().then(() => {
+        assert.fail(null, null, 'should not have queried');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.INVALID_JSON);
+      })
+    );
+
+    it('should match items within a polygon', () =>
+      sortedNamesP(new Parse.Query(Item).withinPolygon('location', [
+        new Parse.GeoPoint(49, 8), new Parse.GeoPoint(51, 8),
+        new Parse.GeoPoint(51, 9), new Parse.GeoPoint(49, 9),
+      ])).then((names) => {
+        assert.deepEqual(names, ['frankfurt', 'heidelberg']);
+      })
+    );
+
+    it('should match items within radians of a point, unsorted', () =>
+      sortedNamesP(new Parse.Query(Item).withinKilometers('location', heidelberg, 100, false))
+        .then((names) => {
+          assert.deepEqual(names, ['frankfurt', 'heidelberg', 'stuttgart']);
+          return sortedNamesP(
+            new Parse.Query(Item).withinKilometers('location', heidelberg, 50, false)
+          );
+        })
+        .then((names) => {
+          assert.deepEqual(names, ['heidelberg']);
+        })
+    );
+
+    it('should store polygons and match those containing a point', () => {
+      const area = new Parse.Polygon([[49, 8], [51, 8], [51, 9], [49, 9]]);
+      return new Store({ area }).save()
+        .then(() => new Parse.Query(Store).polygonContains('area', frankfurt).find())
+        .then((stores) => {
+          assert.equal(stores.length, 1);
+          assert(stores[0].get('area') instanceof Parse.Polygon);
+          assert(stores[0].get('area').equals(area));
+          return new Parse.Query(Store).polygonContains('area', stuttgart).find();
+        })
+        .then((stores) => {
+          assert.equal(stores.length, 0);
+        });
+    });
+  });
+
+  it('should sort matches of a geo query from nearest to furthest', () =>
     // the used two points are 133.4 km away according to http://www.movable-type.co.uk/scripts/latlong.html
     new Item().save({
       location: new Parse.GeoPoint(49, 7),
@@ -611,6 +792,55 @@ describe('ParseMock', () => {
     )
   );
 
+  context('when sorting geo queries by distance', () => {
+    const origin = new Parse.GeoPoint(48, 8);
+
+    beforeEach(() => Promise.all([
+      createItemP(1, null, { name: 'far', location: new Parse.GeoPoint(49.2, 8) }),
+      createItemP(2, null, { name: 'near', location: new Parse.GeoPoint(48.1, 8) }),
+      createItemP(3, null, { name: 'middle', location: new Parse.GeoPoint(48.8, 8) }),
+      createItemP(4, null, { name: 'furthest', location: new Parse.GeoPoint(49.4, 8) }),
+    ]));
+
+    it('should paginate over the sorted matches', () =>
+      Promise.all([
+        namesP(new Parse.Query(Item).near('location', origin).limit(2)),
+        namesP(new Parse.Query(Item).near('location', origin).skip(2).limit(2)),
+      ]).then(([firstPage, secondPage]) => {
+        assert.deepEqual(firstPage, ['near', 'middle']);
+        assert.deepEqual(secondPage, ['far', 'furthest']);
+      })
+    );
+
+    it('should sort by distance along with other constraints', () =>
+      namesP(new Parse.Query(Item)
+        .near('location', origin)
+        .withinGeoBox('location', new Parse.GeoPoint(48.5, 7), new Parse.GeoPoint(50, 9))
+        .lessThan('price', 4)
+      ).then((names) => {
+        assert.deepEqual(names, ['middle', 'far']);
+      })
+    );
+
+    it('should sort by distance when combined with an or query', () =>
+      namesP(Parse.Query.or(
+        new Parse.Query(Item).equalTo('price', 1),
+        new Parse.Query(Item).equalTo('price', 3)
+      ).near('location', origin)).then((names) => {
+        assert.deepEqual(names, ['middle', 'far']);
+      })
+    );
+
+    it('should sort by distance within or subclauses', () =>
+      namesP(Parse.Query.or(
+        new Parse.Query(Item).near('location', origin).greaterThan('price', 3),
+        new Parse.Query(Item).near('location', origin).lessThan('price', 3)
+      )).then((names) => {
+        assert.deepEqual(names, ['near', 'far', 'furthest']);
+      })
+    );
+  });
+
   it('should use a custom order over ordering from nearest to furthest in a geo query', () =>
     // the used two points are 133.4 km away according to http://www.movable-type.co.uk/scripts/latlong.html
     new Item().save({
@@ -880,6 +1110,132 @@ describe('ParseMock', () => {
       })
   );
 
+  it('should combine an or query with sibling constraints', () =>
+    Promise.all([
+      createItemP(30, null, { name: 'Chicken' }),
+      createItemP(30, null, { name: 'Beef' }),
+      createItemP(20, null, { name: 'Chicken' }),
+    ]).then(() => {
+      const query = Parse.Query.or(
+        new Parse.Query(Item).equalTo('name', 'Chicken'),
+        new Parse.Query(Item).equalTo('name', 'Pork')
+      );
+      query.equalTo('price', 30);
+      return query.find();
+    }).then((items) => {
+      assert.equal(items.length, 1);
+      assert.equal(items[0].get('name'), 'Chicken');
+      assert.equal(items[0].get('price'), 30);
+    })
+  );
+
+  it('should find items matching an and query', () =>
+    Promise.all([
+      createItemP(30, null, { name: 'Chicken' }),
+      createItemP(20, null, { name: 'Chicken' }),
+    ]).then(() => Parse.Query.and(
+      new Parse.Query(Item).equalTo('name', 'Chicken'),
+      new Parse.Query(Item).greaterThan('price', 25)
+    ).find()).then((items) => {
+      assert.equal(items.length, 1);
+      assert.equal(items[0].get('price'), 30);
+    })
+  );
+
+  it('should find items matching a nor query', () =>
+    Promise.all([
+      createItemP(30, null, { name: 'Chicken' }),
+      createItemP(20, null, { name: 'Beef' }),
+      createItemP(10, null, { name: 'Pork' }),
+    ]).then(() => Parse.Query.nor(
+      new Parse.Query(Item).equalTo('name', 'Chicken'),
+      new Parse.Query(Item).lessThan('price', 15)
+    ).find()).then((items) => {
+      assert.equal(items.length, 1);
+      assert.equal(items[0].get('name'), 'Beef');
+    })
+  );
+
+  it('should find items matching nested compound queries', () =>
+    Promise.all([
+      createItemP(30, null, { name: 'Chicken' }),
+      createItemP(20, null, { name: 'Beef' }),
+      createItemP(10, null, { name: 'Pork' }),
+      createItemP(40, null, { name: 'Lamb' }),
+    ]).then(() => Parse.Query.and(
+      Parse.Query.or(
+        new Parse.Query(Item).lessThan('price', 25),
+        new Parse.Query(Item).equalTo('name', 'Lamb')
+      ),
+      Parse.Query.nor(new Parse.Query(Item).equalTo('name', 'Pork'))
+    ).ascending('price').find()).then((items) => {
+      assert.deepEqual(items.map(item => item.get('name')), ['Beef', 'Lamb']);
+    })
+  );
+
+  context('when running full text searches', () => {
+    beforeEach(() => Promise.all([
+      createItemP(10, null, { name: 'Coffee cake', description: 'A cake to go with coffee' }),
+      createItemP(20, null, { name: 'Iced coffee', description: 'Cold brew served on ice' }),
+      createItemP(30, null, { name: 'Crème brûlée', description: 'Custard under caramel' }),
+      createItemP(40, null, { name: 'Tea', description: 'Nothing to do with COFFEE' }),
+    ]));
+
+    function searchP(term, options) {
+      return new Parse.Query(Item).fullText('description', term, options).find()
+        .then(items => items.map(item => item.get('name')).sort());
+    }
+
+    it('should match any of the searched words', () =>
+      searchP('coffee caramel').then((names) => {
+        assert.deepEqual(names, ['Coffee cake', 'Crème brûlée', 'Tea']);
+      })
+    );
+
+    it('should require phrases and exclude negated words', () =>
+      Promise.all([
+        searchP('"go with coffee"'),
+        searchP('coffee -cake'),
+        searchP('-cake'),
+      ]).then(([phraseNames, negatedNames, onlyNegatedNames]) => {
+        assert.deepEqual(phraseNames, ['Coffee cake']);
+        assert.deepEqual(negatedNames, ['Tea']);
+        assert.deepEqual(onlyNegatedNames, []);
+      })
+    );
+
+    it('should honor case and diacritic sensitivity', () =>
+      Promise.all([
+        searchP('COFFEE', { caseSensitive: true }),
+        new Parse.Query(Item).fullText('name', 'creme').find(),
+        new Parse.Query(Item).fullText('name', 'creme', { diacriticSensitive: true }).find(),
+      ]).then(([caseSensitiveNames, insensitiveItems, sensitiveItems]) => {
+        assert.deepEqual(caseSensitiveNames, ['Tea']);
+        assert.equal(insensitiveItems.length, 1);
+        assert.equal(sensitiveItems.length, 0);
+      })
+    );
+
+    it('should sort by text score and return it when selected', () => {
+      const query = new Parse.Query(Item).fullText('name', 'coffee cake');
+      query.sortByTextScore().select('name');
+      return query.find().then((items) => {
+        assert.deepEqual(items.map(item => item.get('name')), ['Coffee cake', 'Iced coffee']);
+        assert.deepEqual(items.map(item => item.get('score')), [2, 1]);
+      });
+    });
+
+    it('should not return the score unless selected', () =>
+      new Parse.Query(Item).fullText('name', 'coffee').find().then((items) => {
+        assert.equal(items.length, 2);
+        items.forEach(item => {
+          assert(!item.has('score'));
+          assert(!item.has('$score'));
+        });
+      })
+    );
+  });
+
   it('should save 2 items and get one for a first() query', () =>
     Promise.all([createItemP(30), createItemP(20)]).then(() => {
       const query = new Parse.Query(Item);
@@ -911,6 +1267,224 @@ describe('ParseMock', () => {
     )
   );
 
+  context('when selecting or excluding keys', () => {
+    let item;
+
+    beforeEach(() =>
+      createBrandP('Acme')
+        .then(brand => createItemP(30, brand, { name: 'anvil', secret: 'tnt' }))
+        .then((savedItem) => {
+          item = savedItem;
+          return createStoreWithItemP(item);
+        })
+    );
+
+    it('should only return the selected keys', () =>
+      new Parse.Query(Item).select('name').first().then((result) => {
+        assert.equal(result.get('name'), 'anvil');
+        assert(!result.has('price'));
+        assert(!result.has('secret'));
+        assert.equal(result.id, item.id);
+        assert(result.createdAt instanceof Date);
+        assert(result.updatedAt instanceof Date);
+      })
+    );
+
+    it('should select dotted keys of included pointers', () =>
+      new Parse.Query(Store).select('item.name', 'item.brand.name').first().then((result) => {
+        const resultItem = result.get('item');
+        assert.equal(resultItem.id, item.id);
+        assert.equal(resultItem.get('name'), 'anvil');
+        assert(!resultItem.has('price'));
+        assert.equal(resultItem.get('brand').get('name'), 'Acme');
+      })
+    );
+
+    it('should not return excluded keys', () =>
+      new Parse.Query(Item).exclude('secret').first().then((result) => {
+        assert.equal(result.get('name'), 'anvil');
+        assert.equal(result.get('price'), 30);
+        assert(!result.has('secret'));
+      })
+    );
+
+    it('should always return the ACL', () => {
+      const acl = new Parse.ACL();
+      acl.setPublicReadAccess(true);
+      return new Item({ name: 'guarded', price: 10 }).setACL(acl).save()
+        .then(() => new Parse.Query(Item).equalTo('name', 'guarded').select('name').first())
+        .then((result) => {
+          assert(!result.has('price'));
+          assert(result.getACL().getPublicReadAccess());
+        });
+    });
+
+    it('should project and include fetched objects as beforeFind hooks ask', () => {
+      ParseMockDB.registerHook('Item', 'beforeFind', (request) => {
+        request.query.select('price', 'brand');
+        request.query.include('brand');
+      });
+      return Item.createWithoutData(item.id).fetch().then((fetched) => {
+        assert.equal(fetched.get('price'), 30);
+        assert(!fetched.has('name'));
+        assert.equal(fetched.get('brand').get('name'), 'Acme');
+      });
+    });
+
+    it('should project fetched objects', () =>
+      Parse.CoreManager.getRESTController()
+        .request('GET', `classes/Item/${item.id}`, { keys: 'price', excludeKeys: 'objectId' }, {})
+        .then((result) => {
+          assert.deepEqual(Object.keys(result).sort(), [
+            'createdAt', 'objectId', 'price', 'updatedAt',
+          ]);
+        })
+    );
+  });
+
+  context('when including every pointer or including on fetch', () => {
+    let brand;
+    let item;
+    let store;
+
+    beforeEach(() =>
+      createBrandP('Acme')
+        .then((savedBrand) => {
+          brand = savedBrand;
+          return createItemP(30, brand);
+        })
+        .then((savedItem) => {
+          item = savedItem;
+          return new Store({ item, brand, name: 'main', shelves: [{ item }] }).save();
+        })
+        .then((savedStore) => {
+          store = savedStore;
+        })
+    );
+
+    it('should include every pointer one level deep with includeAll', () =>
+      new Parse.Query(Store).includeAll().first().then((result) => {
+        assert.equal(result.get('brand').get('name'), 'Acme');
+        assert.equal(result.get('item').get('price'), 30);
+        assert(!result.get('item').get('brand').isDataAvailable());
+      })
+    );
+
+    it('should combine includeAll with deeper includes', () =>
+      new Parse.Query(Store).includeAll().include('item.brand')
+        .first()
+        .then((result) => {
+          assert.equal(result.get('item').get('brand').get('name'), 'Acme');
+        })
+    );
+
+    it('should include pointers of objects nested in arrays', () =>
+      new Parse.Query(Store).include('shelves.item').first().then((result) => {
+        assert.equal(result.get('shelves')[0].item.get('price'), 30);
+      })
+    );
+
+    it('should include pointers when fetching', () =>
+      Store.createWithoutData(store.id).fetchWithInclude(['item.brand', 'brand'])
+        .then((result) => {
+          assert.equal(result.get('name'), 'main');
+          assert.equal(result.get('brand').get('name'), 'Acme');
+          assert.equal(result.get('item').id, item.id);
+          assert.equal(result.get('item').get('brand').get('name'), 'Acme');
+        })
+    );
+  });
+
+  context('when fetching several objects at once', () => {
+    let items;
+
+    beforeEach(() =>
+      createBrandP('Acme')
+        .then(brand => Promise.all([createItemP(10, brand), createItemP(20), createItemP(30)]))
+        .then((savedItems) => {
+          items = savedItems;
+        })
+    );
+
+    function unfetched(objects) {
+      return objects.map(object => Item.createWithoutData(object.id));
+    }
+
+    it('should fetch all the objects in the order they are given', () => {
+      const targets = unfetched(items).reverse();
+      return Parse.Object.fetchAll(targets).then((fetched) => {
+        assert.deepEqual(fetched.map(item => item.get('price')), [30, 20, 10]);
+        assert.deepEqual(fetched.map(item => item.id), targets.map(item => item.id));
+      });
+    });
+
+    it('should fetch more objects than the default query limit', () => {
+      const prices = Array.from({ length: 120 }, (value, index) => index);
+      return Parse.Object.saveAll(prices.map(price => new Item({ price })))
+        .then(saved => Parse.Object.fetchAll(unfetched(saved)))
+        .then((fetched) => {
+          assert.deepEqual(fetched.map(item => item.get('price')), prices);
+        });
+    });
+
+    it('should honor a limit of 0', () =>
+      new Parse.Query(Item).limit(0).find().then((results) => {
+        assert.equal(results.length, 0);
+      })
+    );
+
+    it('should include pointers with fetchAllWithInclude', () =>
+      Parse.Object.fetchAllWithInclude(unfetched(items), 'brand').then((fetched) => {
+        assert.equal(fetched[0].get('brand').get('name'), 'Acme');
+      })
+    );
+
+    it('should only fetch objects without data with fetchAllIfNeeded', () => {
+      const targets = [items[0], Item.createWithoutData(items[1].id)];
+      items[0].set('price', 99);
+      return Parse.Object.fetchAllIfNeeded(targets).then((fetched) => {
+        assert.equal(fetched[0].get('price'), 99);
+        assert.equal(fetched[1].get('price'), 20);
+        return Parse.Object.fetchAllIfNeeded([items[0]]);
+      }).then((fetched) => {
+        assert.equal(fetched[0].get('price'), 99);
+      });
+    });
+
+    it('should reject when an object does not exist', () =>
+      items[1].destroy()
+        .then(() => Parse.Object.fetchAll(unfetched(items)))
+        .then(() => {
+          assert.fail(null, null, 'should not have fetched');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+          assert.equal(error.message, 'All objects must exist on the server.');
+        })
+    );
+
+    it('should reject when an object cannot be read', () => {
+      const hidden = new Item({ price: 40 });
+      hidden.setACL(new Parse.ACL());
+      return hidden.save()
+        .then(() => Parse.Object.fetchAll(unfetched(items.concat([hidden]))))
+        .then(() => {
+          assert.fail(null, null, 'should not have fetched');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+        });
+    });
+
+    it('should reject objects of different classes', () =>
+      createBrandP('Globex')
+        .then(brand => Parse.Object.fetchAll([Item.createWithoutData(items[0].id), brand]))
+        .then(() => {
+          assert.fail(null, null, 'should not have fetched');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.INVALID_CLASS_NAME);
+        })
+    );
+  });
+
   it('should return invalid pointers if they are not included', () => {
     const item = new Item();
     item.id = 'ZZZZZZZZ';
@@ -1496,6 +2070,82 @@ describe('ParseMock', () => {
     })
   );
 
+  context('when querying with relative times', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    beforeEach(() => Promise.all([
+      createItemP(1, null, { name: 'stale', expiresAt: new Date(Date.now() - (5 * DAY_MS)) }),
+      createItemP(2, null, { name: 'recent', expiresAt: new Date(Date.now() - (DAY_MS / 2)) }),
+      createItemP(3, null, { name: 'fresh', expiresAt: new Date(Date.now() + (10 * DAY_MS)) }),
+    ]));
+
+    it('should compare dates with times in the past', () =>
+      Promise.all([
+        sortedNamesP(new Parse.Query(Item).lessThan('expiresAt', { $relativeTime: '3 days ago' })),
+        sortedNamesP(new Parse.Query(Item).lessThan('expiresAt', { $relativeTime: 'now' })),
+      ]).then(([stale, expired]) => {
+        assert.deepEqual(stale, ['stale']);
+        assert.deepEqual(expired, ['recent', 'stale']);
+      })
+    );
+
+    it('should compare dates with combined times in the future', () =>
+      Promise.all([
+        sortedNamesP(new Parse.Query(Item)
+          .greaterThanOrEqualTo('expiresAt', { $relativeTime: 'in 1 week 2 days' })),
+        sortedNamesP(new Parse.Query(Item)
+          .greaterThan('expiresAt', { $relativeTime: '12 hrs 30 mins ago' })
+          .lessThanOrEqualTo('expiresAt', { $relativeTime: 'in 1 yr' })),
+      ]).then(([later, around]) => {
+        assert.deepEqual(later, ['fresh']);
+        assert.deepEqual(around, ['fresh', 'recent']);
+      })
+    );
+
+    it('should reject invalid relative times', () =>
+      Promise.all([
+        'in 3 days ago',
+        '3 days',
+        'in 3',
+        '3.5 days ago',
+        '3 fortnights ago',
+      ].map(relativeTime =>
+        new Parse.Query(Item).lessThan('expiresAt', { $relativeTime: relativeTime }).find()
+          .then(() => null, error => error)
+      )).then((errors) => {
+        errors.forEach((error) => {
+          assert(error, 'should have rejected');
+          assert.equal(error.code, Parse.Error.INVALID_JSON);
+        });
+        assert.equal(
+          errors[4].message, "bad $relativeTime ($lt) value. Invalid interval: 'fortnights'"
+        );
+      })
+    );
+
+    it('should only accept relative times in comparisons', () =>
+      new Parse.Query(Item).notEqualTo('expiresAt', { $relativeTime: 'now' }).find()
+        .then(() => {
+          assert.fail(null, null, 'should have rejected');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.INVALID_JSON);
+        })
+    );
+
+    it('should reject invalid relative times on classes without objects', () =>
+      Promise.all([
+        expectError(
+          new Parse.Query(Brand).lessThan('createdAt', { $relativeTime: 'yesterday' }).find(),
+          Parse.Error.INVALID_JSON
+        ),
+        expectError(
+          new Parse.Query(Brand).notEqualTo('createdAt', { $relativeTime: 'now' }).find(),
+          Parse.Error.INVALID_JSON
+        ),
+      ])
+    );
+  });
+
   it('should handle a lessThanOrEqualTo query', () =>
     createItemP(30).then(() => {
       const query = new Parse.Query(Item);
@@ -1591,6 +2241,85 @@ describe('ParseMock', () => {
     )
   );
 
+  context('when running subqueries', () => {
+    let acme;
+    let globex;
+
+    beforeEach(() =>
+      Promise.all([createBrandP('Acme'), createBrandP('Globex')]).then((brands) => {
+        acme = brands[0];
+        globex = brands[1];
+        return Promise.all([
+          createItemP(10, acme, { name: 'anvil' }),
+          createItemP(20, globex, { name: 'laser' }),
+          createItemP(30, null, { name: 'pebble' }),
+        ]);
+      })
+    );
+
+    it('should exclude objects matching doesNotMatchQuery', () =>
+      sortedNamesP(new Parse.Query(Item).doesNotMatchQuery(
+        'brand', new Parse.Query(Brand).equalTo('name', 'Acme')
+      )).then((names) => {
+        assert.deepEqual(names, ['laser', 'pebble']);
+      })
+    );
+
+    it('should only match pointers to the class of the subquery', () =>
+      new Store({ item: acme }).save()
+        .then(() => new Parse.Query(Store).matchesQuery('item', new Parse.Query(Item)).find())
+        .then((stores) => {
+          assert.equal(stores.length, 0);
+        })
+    );
+
+    it('should compare selected pointers by value', () =>
+      Promise.all([
+        new Store({ brand: acme, name: 'Acme store' }).save(),
+        new Store({ brand: globex, name: 'Globex store' }).save(),
+      ]).then(() => Promise.all([
+        sortedNamesP(new Parse.Query(Store)
+          .matchesKeyInQuery('brand', 'brand', new Parse.Query(Item).lessThan('price', 15))),
+        sortedNamesP(new Parse.Query(Store)
+          .doesNotMatchKeyInQuery('brand', 'brand', new Parse.Query(Item).lessThan('price', 15))),
+      ])).then(([selected, notSelected]) => {
+        assert.deepEqual(selected, ['Acme store']);
+        assert.deepEqual(notSelected, ['Globex store']);
+      })
+    );
+
+    it('should compare selected dates and arrays by value', () => {
+      const date = new Date('2020-01-01T00:00:00Z');
+      return Promise.all([
+        new Store({ openedAt: date, tags: ['a', 'b'], name: 'old' }).save(),
+        new Store({ openedAt: new Date(), tags: ['c'], name: 'new' }).save(),
+        new Brand({ foundedAt: date, tag: 'b' }).save(),
+      ]).then(() => Promise.all([
+        sortedNamesP(new Parse.Query(Store)
+          .matchesKeyInQuery('openedAt', 'foundedAt', new Parse.Query(Brand))),
+        sortedNamesP(new Parse.Query(Store)
+          .matchesKeyInQuery('tags', 'tag', new Parse.Query(Brand))),
+      ])).then(([byDate, byTag]) => {
+        assert.deepEqual(byDate, ['old']);
+        assert.deepEqual(byTag, ['old']);
+      });
+    });
+
+    it('should honor the order, skip and limit of subqueries', () =>
+      Promise.all([
+        sortedNamesP(new Parse.Query(Item).matchesQuery(
+          'brand', new Parse.Query(Brand).descending('name').limit(1)
+        )),
+        sortedNamesP(new Parse.Query(Item).matchesKeyInQuery(
+          'price', 'price', new Parse.Query(Item).ascending('price').skip(1)
+        )),
+      ]).then(([byBrand, byPrice]) => {
+        assert.deepEqual(byBrand, ['laser']);
+        assert.deepEqual(byPrice, ['laser', 'pebble']);
+      })
+    );
+  });
+
   it('should skip and limit items appropriately', () =>
     createBrandP('Acme').then(() =>
       createBrandP('Acme 2').then(() => {
@@ -1639,26 +2368,1010 @@ describe('ParseMock', () => {
     behavesLikeParseObjectOnBeforeDelete('Brand', Brand);
   });
 
+  context('when object has afterDelete hook registered', () => {
+    behavesLikeParseObjectOnAfterDelete('Brand', Brand);
+  });
+
   context('when object has afterSave hook registered', () => {
     behavesLikeParseObjectOnAfterSave('Brand', Brand);
   });
 
-  it('successfully uses containsAll query', () =>
-    Promise.all([createItemP(30), createItemP(20)]).then(([item1, item2]) => {
-      const store = new Store({
-        items: [item1.toPointer(), item2.toPointer()],
+  context('when cloud functions are registered', () => {
+    afterEach(() => {
+      ParseMockDB.mockUser(null);
+    });
+
+    it('should run the function with its params and return its result', () => {
+      ParseMockDB.registerFunction('double', request =>
+        Promise.resolve(request.params.value * 2)
+      );
+      return Parse.Cloud.run('double', { value: 21 }).then((result) => {
+        assert.equal(result, 42);
       });
-      return store.save().then(() => {
-        const query = new Parse.Query(Store);
-        query.containsAll('items', [item1.toPointer(), item2.toPointer()]);
-        return query.find();
-      }).then(stores => {
-        assert.equal(stores.length, 1);
-        const query = new Parse.Query(Store);
-        query.containsAll('items', [item2.toPointer(), 4]);
-        return query.find();
-      }).then(stores => {
-        assert.equal(stores.length, 0);
+    });
+
+    it('should support functions returning values synchronously', () => {
+      ParseMockDB.registerFunction('hello', request => `Hello ${request.params.name}`);
+      return Parse.Cloud.run('hello', { name: 'Tom' }).then((result) => {
+        assert.equal(result, 'Hello Tom');
+      });
+    });
+
+    it('should pass the user, master flag and installation id', () => {
+      let functionRequest;
+      ParseMockDB.registerFunction('inspect', (request) => {
+        functionRequest = request;
+        return Promise.resolve();
+      });
+      return new Parse.User({ name: 'Tom' }).save().then((savedUser) => {
+        ParseMockDB.mockUser(savedUser);
+        return Parse.Cloud.run('inspect', {}, { useMasterKey: true });
+      }).then(() => {
+        assert.equal(functionRequest.user.get('name'), 'Tom');
+        assert.strictEqual(functionRequest.master, true);
+        assert(functionRequest.installationId);
+      });
+    });
+
+    it('should decode params and return Parse.Objects', () => {
+      ParseMockDB.registerFunction('findItems', (request) => {
+        assert(request.params.since instanceof Date);
+        return new Parse.Query(Item).greaterThan('createdAt', request.params.since).find();
+      });
+      return createItemP(30)
+        .then(() => Parse.Cloud.run('findItems', { since: new Date(0) }))
+        .then((items) => {
+          assert.equal(items.length, 1);
+          assert(items[0] instanceof Item);
+          assert.equal(items[0].get('price'), 30);
+        });
+    });
+
+    it('should propagate thrown Parse.Errors', () => {
+      ParseMockDB.registerFunction('fail', () => {
+        throw new Parse.Error(Parse.Error.VALIDATION_ERROR, 'Nope');
+      });
+      return Parse.Cloud.run('fail').then(() => {
+        assert.fail(null, null, 'should have failed');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.VALIDATION_ERROR);
+        assert.equal(error.message, 'Nope');
+      });
+    });
+
+    it('should reject other errors and unknown functions as script failures', () => {
+      ParseMockDB.registerFunction('fail', () => Promise.reject(new Error('Broken')));
+      return Parse.Cloud.run('fail').then(() => {
+        assert.fail(null, null, 'should have failed');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.SCRIPT_FAILED);
+        assert.equal(error.message, 'Broken');
+        return Parse.Cloud.run('missing');
+      }).then(() => {
+        assert.fail(null, null, 'should have failed');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.SCRIPT_FAILED);
+      });
+    });
+  });
+
+  context('when running aggregate queries', () => {
+    beforeEach(() =>
+      Promise.all([createBrandP('Acme'), createBrandP('Globex')]).then(([acme, globex]) =>
+        Promise.all([
+          createItemP(10, acme, { name: 'anvil', tags: ['heavy', 'metal'] }),
+          createItemP(30, acme, { name: 'rocket', tags: ['fast'] }),
+          createItemP(20, globex, { name: 'laser', tags: [] }),
+          createItemP(5, null, { name: 'pebble' }),
+        ])
+      )
+    );
+
+    it('should group with accumulators', () =>
+      new Parse.Query(Item).aggregate([
+        { $match: { price: { $gte: 10 } } },
+        {
+          $group: {
+            _id: '$brand.objectId',
+            total: { $sum: '$price' },
+            count: { $sum: 1 },
+            average: { $avg: '$price' },
+            cheapest: { $min: '$price' },
+            priciest: { $max: '$price' },
+            names: { $push: '$name' },
+            tags: { $addToSet: { $size: '$tags' } },
+          },
+        },
+        { $sort: { total: -1 } },
+      ]).then((results) => {
+        assert.equal(results.length, 2);
+        assert.equal(typeof results[0].objectId, 'string');
+        const acme = Object.assign({}, results[0]);
+        delete acme.objectId;
+        assert.deepEqual(acme, {
+          total: 40,
+          count: 2,
+          average: 20,
+          cheapest: 10,
+          priciest: 30,
+          names: ['anvil', 'rocket'],
+          tags: [2, 1],
+        });
+        assert.equal(results[1].total, 20);
+      })
+    );
+
+    it('should group everything under a null key', () =>
+      new Parse.Query(Item).aggregate([
+        { $sort: { price: 1 } },
+        { $group: { _id: null, first: { $first: '$name' }, last: { $last: '$name' } } },
+      ]).then((results) => {
+        assert.deepEqual(results, [{ objectId: null, first: 'pebble', last: 'rocket' }]);
+      })
+    );
+
+    it('should project, sort, skip and limit', () =>
+      new Parse.Query(Item).aggregate([
+        { $project: { name: 1, doubled: { $multiply: ['$price', 2] }, _id: 0 } },
+        { $sort: { doubled: -1 } },
+        { $skip: 1 },
+        { $limit: 2 },
+      ]).then((results) => {
+        assert.deepEqual(results, [
+          { name: 'laser', doubled: 40 },
+          { name: 'anvil', doubled: 20 },
+        ]);
+      })
+    );
+
+    it('should unwind arrays', () =>
+      new Parse.Query(Item).aggregate([
+        { $unwind: '$tags' },
+        { $project: { name: 1, tags: 1, _id: 0 } },
+        { $sort: { tags: 1 } },
+      ]).then((results) => {
+        assert.deepEqual(results, [
+          { name: 'rocket', tags: 'fast' },
+          { name: 'anvil', tags: 'heavy' },
+          { name: 'anvil', tags: 'metal' },
+        ]);
+      })
+    );
+
+    it('should accept stages without their $ prefix and count', () =>
+      new Parse.Query(Item).aggregate({ match: { name: { $regex: 'e' } }, count: 'total' })
+        .then((results) => {
+          assert.deepEqual(results, [{ total: 3 }]);
+        })
+    );
+
+    it('should match dates by equality', () => {
+      const day = new Date('2020-02-02T00:00:00.000Z');
+      return createItemP(40, null, { name: 'dated', day })
+        .then(() => new Parse.Query(Item).aggregate([
+          { $match: { day } },
+          { $project: { name: 1, _id: 0 } },
+        ]))
+        .then((results) => {
+          assert.deepEqual(results, [{ name: 'dated' }]);
+        });
+    });
+
+    it('should match Parse.Objects as pointers', () =>
+      new Parse.Query(Brand).equalTo('name', 'Acme').first()
+        .then(acme => new Parse.Query(Item).aggregate([
+          { $match: { brand: acme } },
+          { $sort: { price: 1 } },
+          { $project: { name: 1, _id: 0 } },
+        ]))
+        .then((results) => {
+          assert.deepEqual(results, [{ name: 'anvil' }, { name: 'rocket' }]);
+        })
+    );
+
+    it('should encode dates in the results', () =>
+      new Parse.Query(Item).aggregate([
+        { $group: { _id: null, latest: { $max: '$createdAt' } } },
+      ]).then((results) => {
+        assert.equal(results[0].latest.__type, 'Date');
+        assert(!isNaN(new Date(results[0].latest.iso).getTime()));
+      })
+    );
+
+    it('should list distinct values of a field', () =>
+      new Parse.Query(Item).greaterThan('price', 5).distinct('name')
+        .then((names) => {
+          assert.deepEqual(names.sort(), ['anvil', 'laser', 'rocket']);
+        })
+    );
+
+    it('should flatten array fields when listing distinct values', () =>
+      new Parse.Query(Item).distinct('tags')
+        .then((tags) => {
+          assert.deepEqual(tags.sort(), ['fast', 'heavy', 'metal']);
+        })
+    );
+
+    it('should list distinct pointers and dotted keys', () =>
+      Promise.all([
+        new Parse.Query(Item).distinct('brand'),
+        new Parse.Query(Item).distinct('brand.objectId'),
+        new Parse.Query(Brand).find(),
+      ]).then(([brands, brandIds, storedBrands]) => {
+        const expectedIds = storedBrands.map(brand => brand.id).sort();
+        assert.deepEqual(brandIds.sort(), expectedIds);
+        assert.deepEqual(brands.map(brand => brand.objectId).sort(), expectedIds);
+        brands.forEach((brand) => {
+          assert.equal(brand.__type, 'Pointer');
+          assert.equal(brand.className, 'Brand');
+        });
+      })
+    );
+
+    it('should reject unknown stages', () =>
+      new Parse.Query(Item).aggregate([{ $bogus: {} }])
+        .then(() => {
+          assert.fail(null, null, 'should not have aggregated');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.INVALID_QUERY);
+        })
+    );
+
+    it('should require the master key', () =>
+      Parse.CoreManager.getRESTController()
+        .request('GET', 'aggregate/Item', { pipeline: [] }, {})
+        .then(() => {
+          assert.fail(null, null, 'should not have aggregated');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OPERATION_FORBIDDEN);
+        })
+    );
+  });
+
+  context('when jobs are registered', () => {
+    it('should run a job and record its status', () => {
+      ParseMockDB.registerJob('backfill', (request) => {
+        request.message('halfway');
+        return Promise.all([createItemP(request.params.price), createItemP(request.params.price)])
+          .then(() => 'done');
+      });
+      return ParseMockDB.runJob('backfill', { price: 5 })
+        .then((jobStatus) => {
+          assert.equal(jobStatus.get('jobName'), 'backfill');
+          assert.equal(jobStatus.get('status'), 'succeeded');
+          assert.equal(jobStatus.get('message'), 'done');
+          assert.deepEqual(jobStatus.get('params'), { price: 5 });
+          assert(jobStatus.get('startedAt') instanceof Date);
+          assert(jobStatus.get('finishedAt') >= jobStatus.get('startedAt'));
+          return new Parse.Query(Item).equalTo('price', 5).count();
+        })
+        .then((count) => {
+          assert.equal(count, 2);
+        });
+    });
+
+    it('should record a failed job', () => {
+      ParseMockDB.registerJob('broken', (request) => {
+        request.message('starting');
+        throw new Error('out of coffee');
+      });
+      return ParseMockDB.runJob('broken')
+        .then((jobStatus) => {
+          assert.equal(jobStatus.get('status'), 'failed');
+          assert.equal(jobStatus.get('message'), 'out of coffee');
+        });
+    });
+
+    it('should reject running an unknown job', () =>
+      ParseMockDB.runJob('missing')
+        .then(() => {
+          assert.fail(null, null, 'should not have run');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.SCRIPT_FAILED);
+        })
+    );
+
+    it('should start a job through Parse.Cloud.startJob', () => {
+      let finish;
+      ParseMockDB.registerJob('slow', () => new Promise((resolve) => {
+        finish = resolve;
+      }));
+      let jobStatusId;
+      return Parse.Cloud.startJob('slow', {})
+        .then((id) => {
+          jobStatusId = id;
+          return Parse.Cloud.getJobStatus(jobStatusId);
+        })
+        .then((jobStatus) => {
+          assert.equal(jobStatus.get('status'), 'running');
+          finish('finally');
+          return sleep(1);
+        })
+        .then(() => new Parse.Query('_JobStatus').get(jobStatusId))
+        .then((jobStatus) => {
+          assert.equal(jobStatus.get('status'), 'succeeded');
+          assert.equal(jobStatus.get('message'), 'finally');
+        });
+    });
+
+    it('should require the master key to start a job', () => {
+      ParseMockDB.registerJob('cleanUp', () => Promise.resolve());
+      return Parse.CoreManager.getRESTController().request('POST', 'jobs/cleanUp', {}, {})
+        .then(() => {
+          assert.fail(null, null, 'should not have started');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OPERATION_FORBIDDEN);
+        });
+    });
+  });
+
+  context('when the Parse.Cloud facade is installed', () => {
+    // Cloud code written the way parse-server expects it
+    function loadCloudCode() {
+      Parse.Cloud.beforeSave('Item', (request) => {
+        if (request.object.get('price') < 0) {
+          throw new Parse.Error(Parse.Error.VALIDATION_ERROR, 'Price must be positive');
+        }
+        request.object.set('checked', true);
+      });
+
+      Parse.Cloud.beforeSave(Parse.User, (request) => {
+        request.object.set('greeting', `Hi ${request.object.get('name')}`);
+      });
+
+      Parse.Cloud.beforeFind(Brand, (request) => {
+        request.query.equalTo('visible', true);
+      });
+
+      Parse.Cloud.define('countItems', () => new Parse.Query(Item).count());
+
+      Parse.Cloud.job('cleanUp', () => Promise.resolve());
+    }
+
+    beforeEach(() => {
+      ParseMockDB.unMockDB();
+      ParseMockDB.mockDB(Parse, { cloud: true });
+      loadCloudCode();
+    });
+
+    afterEach(() => {
+      ParseMockDB.unMockDB();
+      ParseMockDB.mockDB(Parse);
+    });
+
+    it('should run triggers registered through Parse.Cloud', () =>
+      createItemP(30)
+        .then((item) => {
+          assert(item.get('checked'));
+          return createItemP(-1);
+        })
+        .then(() => {
+          assert.fail(null, null, 'should not have saved');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.VALIDATION_ERROR);
+          return new Parse.Query(Item).find();
+        })
+        .then((items) => {
+          assert.equal(items.length, 1);
+        })
+    );
+
+    it('should accept Parse.Object subclasses as class names', () =>
+      Promise.all([
+        createUserP('Tom'),
+        createBrandP('Acme'),
+        new Brand({ name: 'Visible', visible: true }).save(),
+      ])
+        .then(([user]) => {
+          assert.equal(user.get('greeting'), 'Hi Tom');
+          return new Parse.Query(Brand).find();
+        })
+        .then((brands) => {
+          assert.equal(brands.length, 1);
+          assert.equal(brands[0].get('name'), 'Visible');
+        })
+    );
+
+    it('should run functions defined through Parse.Cloud', () =>
+      createItemP(30)
+        .then(() => Parse.Cloud.run('countItems'))
+        .then((count) => {
+          assert.equal(count, 1);
+        })
+    );
+
+    it('should run beforeLogin and afterLogout triggers', () => {
+      const events = [];
+      Parse.Cloud.beforeLogin((request) => {
+        events.push(`login ${request.object.get('username')}`);
+      });
+      Parse.Cloud.afterLogout((request) => {
+        events.push(`logout ${request.object.get('user').id}`);
+      });
+      const user = new Parse.User({ username: 'tom', password: 'secret' });
+      return user.signUp()
+        .then(() => Parse.User.logIn('tom', 'secret'))
+        .then(loggedIn => Parse.User.logOut({ sessionToken: loggedIn.getSessionToken() }))
+        .then(() => {
+          assert.deepEqual(events, ['login tom', `logout ${user.id}`]);
+        });
+    });
+
+    it('should collect afterLogout errors without failing the logout', () => {
+      Parse.Cloud.afterLogout(() => Promise.reject(new Error('boom')));
+      return new Parse.User({ username: 'tom', password: 'secret' }).signUp()
+        .then(user => Parse.User.logOut({ sessionToken: user.getSessionToken() }))
+        .then(() => {
+          const errors = ParseMockDB.getHookErrors();
+          assert.equal(errors.length, 1);
+          assert.equal(errors[0].className, '_Session');
+          assert.equal(errors[0].hookType, 'afterLogout');
+          assert.equal(errors[0].error.message, 'boom');
+        });
+    });
+
+    it('should store the changes beforeSave triggers make on updates', () => {
+      Parse.Cloud.beforeSave('Brand', (request) => {
+        request.object.set('touched', (request.object.get('touched') || 0) + 1);
+        request.object.increment('saves');
+      });
+      return new Brand({ name: 'Acme', visible: true }).save()
+        .then(brand => brand.save({ name: 'Acme Corp' }))
+        .then((brand) => {
+          assert.equal(brand.get('touched'), 2);
+          assert.equal(brand.get('saves'), 2);
+          return new Parse.Query(Brand).get(brand.id);
+        })
+        .then((brand) => {
+          assert.equal(brand.get('name'), 'Acme Corp');
+          assert.equal(brand.get('touched'), 2);
+          assert.equal(brand.get('saves'), 2);
+        });
+    });
+
+    it('should reject the login if beforeLogin throws', () => {
+      Parse.Cloud.beforeLogin(() => {
+        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Banned');
+      });
+      return new Parse.User({ username: 'tom', password: 'secret' }).signUp()
+        .then(() => Parse.User.logIn('tom', 'secret'))
+        .then(() => {
+          assert.fail(null, null, 'should not have logged in');
+        }, (error) => {
+          assert.equal(error.message, 'Banned');
+        });
+    });
+
+    it('should remove the facade when unmocking', () => {
+      ParseMockDB.unMockDB();
+      assert.equal(Parse.Cloud.beforeSave, undefined);
+      assert.equal(typeof Parse.Cloud.run, 'function');
+    });
+  });
+
+  context('when sending batches', () => {
+    function batchP(requests, transaction) {
+      const data = { requests };
+      if (transaction) {
+        data.transaction = true;
+      }
+      return Parse.CoreManager.getRESTController().request('POST', 'batch', data, {});
+    }
+
+    afterEach(() => {
+      ParseMockDB.unMockDB();
+      ParseMockDB.mockDB(Parse);
+    });
+
+    it('should report the result of each request in order', () =>
+      createItemP(10).then(item => batchP([
+        { method: 'POST', path: '/1/classes/Item', body: { price: 20 } },
+        { method: 'PUT', path: '/1/classes/Item/missing', body: { price: 30 } },
+        { method: 'PUT', path: `/1/classes/Item/${item.id}`, body: { price: 40 } },
+      ])).then((results) => {
+        assert.equal(results.length, 3);
+        assert(results[0].success.objectId);
+        assert.deepEqual(results[1].error, {
+          code: Parse.Error.OBJECT_NOT_FOUND,
+          error: 'object not found for put',
+        });
+        assert(results[2].success.updatedAt);
+        return new Parse.Query(Item).ascending('price').find();
+      }).then((items) => {
+        assert.deepEqual(items.map(item => item.get('price')), [20, 40]);
+      })
+    );
+
+    it('should report errors thrown while handling a request', () => {
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        if (request.object.get('price') < 0) {
+          throw new Parse.Error(Parse.Error.VALIDATION_ERROR, 'negative price');
+        }
+      });
+      return Parse.Object.saveAll([new Item({ price: 10 }), new Item({ price: -1 })])
+        .then(() => {
+          assert.fail(null, null, 'should not have saved');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.VALIDATION_ERROR);
+          assert.equal(error.message, 'negative price');
+          return new Parse.Query(Item).count();
+        })
+        .then((count) => {
+          assert.equal(count, 1);
+        });
+    });
+
+    it('should run transactional batches atomically', () =>
+      createItemP(10).then(item => batchP([
+        { method: 'POST', path: '/1/classes/Item', body: { price: 20 } },
+        { method: 'PUT', path: `/1/classes/Item/${item.id}`, body: { price: 30 } },
+      ], true)).then((results) => {
+        assert.equal(results.length, 2);
+        assert(results[0].success.objectId);
+        assert(results[1].success.updatedAt);
+        return new Parse.Query(Item).ascending('price').find();
+      }).then((items) => {
+        assert.deepEqual(items.map(item => item.get('price')), [20, 30]);
+      })
+    );
+
+    it('should roll back transactional batches on failure', () => {
+      let item;
+      return createItemP(10).then((savedItem) => {
+        item = savedItem;
+        return batchP([
+          { method: 'POST', path: '/1/classes/Item', body: { price: 20 } },
+          { method: 'PUT', path: `/1/classes/Item/${item.id}`, body: { price: 30 } },
+          { method: 'DELETE', path: `/1/classes/Item/${item.id}` },
+          { method: 'PUT', path: '/1/classes/Item/missing', body: { price: 40 } },
+          { method: 'POST', path: '/1/classes/Item', body: { price: 50 } },
+        ], true);
+      }).then(() => {
+        assert.fail(null, null, 'should not have committed');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+        return new Parse.Query(Item).find();
+      }).then((items) => {
+        assert.equal(items.length, 1);
+        assert.equal(items[0].id, item.id);
+        assert.equal(items[0].get('price'), 10);
+      });
+    });
+
+    it('should roll back transactional batches with a Parse.Error when a hook rejects', () => {
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        if (request.object.get('price') > 20) {
+          return Promise.reject('nope');
+        }
+        return Promise.resolve(request.object);
+      });
+      return batchP([
+        { method: 'POST', path: '/1/classes/Item', body: { price: 10 } },
+        { method: 'POST', path: '/1/classes/Item', body: { price: 30 } },
+      ], true).then(() => {
+        assert.fail(null, null, 'should not have committed');
+      }, (error) => {
+        assert(error instanceof Parse.Error);
+        assert.equal(error.code, Parse.Error.SCRIPT_FAILED);
+        assert.equal(error.message, 'nope');
+        return new Parse.Query(Item).count();
+      }).then((count) => {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should run requests in order so hooks observe earlier writes', () => {
+      const seenCounts = [];
+      ParseMockDB.registerHook('Item', 'beforeSave', request =>
+        new Parse.Query(Item).count().then((count) => {
+          seenCounts.push(count);
+          return request.object;
+        })
+      );
+      return batchP([1, 2, 3].map(price =>
+        ({ method: 'POST', path: '/1/classes/Item', body: { price } })
+      )).then(() => {
+        assert.deepEqual(seenCounts, [0, 1, 2]);
+      });
+    });
+
+    it('should reject batches with more than 50 requests', () => {
+      const requests = [];
+      for (let i = 0; i < 51; i += 1) {
+        requests.push({ method: 'POST', path: '/1/classes/Item', body: { price: i } });
+      }
+      return batchP(requests).then(() => {
+        assert.fail(null, null, 'should not have run the batch');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.INVALID_JSON);
+        assert.equal(error.message, 'Cannot process more than 50 requests in a batch.');
+        return new Parse.Query(Item).count();
+      }).then((count) => {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('should honor a configured batch size limit', () => {
+      ParseMockDB.unMockDB();
+      ParseMockDB.mockDB(Parse, { maxBatchSize: 2 });
+      return batchP([1, 2, 3].map(price =>
+        ({ method: 'POST', path: '/1/classes/Item', body: { price } })
+      )).then(() => {
+        assert.fail(null, null, 'should not have run the batch');
+      }, (error) => {
+        assert.equal(error.message, 'Cannot process more than 2 requests in a batch.');
+      });
+    });
+
+    it('should reject batches with a path outside of the supported endpoints', () =>
+      batchP([
+        { method: 'POST', path: '/1/classes/Item', body: { price: 10 } },
+        { method: 'POST', path: '/1/unknown/Item', body: { price: 20 } },
+      ]).then(() => {
+        assert.fail(null, null, 'should not have run the batch');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.INVALID_JSON);
+        assert.equal(error.message, 'cannot route batch path /1/unknown/Item');
+        return new Parse.Query(Item).count();
+      }).then((count) => {
+        assert.equal(count, 0);
+      })
+    );
+
+    it('should reject batches with a path missing the server path', () =>
+      batchP([{ method: 'POST', path: 'classes/Item', body: { price: 10 } }]).then(() => {
+        assert.fail(null, null, 'should not have run the batch');
+      }, (error) => {
+        assert.equal(error.message, 'cannot route batch path classes/Item');
+      })
+    );
+  });
+
+  context('when a class has find hooks registered', () => {
+    it('should let beforeFind add constraints to the query', () => {
+      ParseMockDB.registerHook('Item', 'beforeFind', (request) => {
+        request.query.greaterThan('price', 25);
+        return Promise.resolve();
+      });
+      return Promise.all([createItemP(20), createItemP(30)])
+        .then(() => new Parse.Query(Item).find())
+        .then((results) => {
+          assert.equal(results.length, 1);
+          assert.equal(results[0].get('price'), 30);
+        });
+    });
+
+    it('should let beforeFind replace the query', () => {
+      ParseMockDB.registerHook('Item', 'beforeFind', () =>
+        Promise.resolve(new Parse.Query(Item).equalTo('price', 20))
+      );
+      return Promise.all([createItemP(20), createItemP(30)])
+        .then(() => new Parse.Query(Item).equalTo('price', 30).find())
+        .then((results) => {
+          assert.equal(results.length, 1);
+          assert.equal(results[0].get('price'), 20);
+        });
+    });
+
+    it('should flag get and count queries in beforeFind', () => {
+      const flags = [];
+      ParseMockDB.registerHook('Item', 'beforeFind', (request) => {
+        flags.push({ isGet: request.isGet, count: request.count });
+        return Promise.resolve();
+      });
+      return createItemP(30)
+        .then((item) => Item.createWithoutData(item.id).fetch())
+        .then(() => new Parse.Query(Item).count())
+        .then(() => new Parse.Query(Item).find())
+        .then(() => {
+          assert.deepEqual(flags, [
+            { isGet: true, count: false },
+            { isGet: false, count: true },
+            { isGet: false, count: false },
+          ]);
+        });
+    });
+
+    it('should let beforeFind hide an object from fetch', () => {
+      ParseMockDB.registerHook('Item', 'beforeFind', (request) => {
+        request.query.equalTo('visible', true);
+        return Promise.resolve();
+      });
+      return createItemP(30)
+        .then((item) => Item.createWithoutData(item.id).fetch())
+        .then(() => {
+          assert.fail(null, null, 'should not have fetched');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+        });
+    });
+
+    it('should let afterFind transform the results', () => {
+      ParseMockDB.registerHook('Item', 'afterFind', (request) => {
+        request.objects.forEach(object => object.unset('secret'));
+        return Promise.resolve(request.objects.filter(object => object.get('price') > 25));
+      });
+      return Promise.all([
+        createItemP(20, null, { secret: 'a' }),
+        createItemP(30, null, { secret: 'b' }),
+      ]).then(() => new Parse.Query(Item).find())
+        .then((results) => {
+          assert.equal(results.length, 1);
+          assert.equal(results[0].get('price'), 30);
+          assert(!results[0].has('secret'));
+          return Item.createWithoutData(results[0].id).fetch();
+        })
+        .then((fetched) => {
+          assert(!fetched.has('secret'));
+          assert(fetched.createdAt instanceof Date);
+        });
+    });
+  });
+
+  context('when afterSave hooks are slow', () => {
+    function slowHook(request) {
+      return sleep(5).then(() => new Brand({ name: request.object.get('name') }).save());
+    }
+
+    it('should resolve the save once the hook is done', () => {
+      ParseMockDB.registerHook('Item', 'afterSave', slowHook);
+      return new Item({ name: 'a' }).save()
+        .then(() => new Parse.Query(Brand).find())
+        .then((brands) => {
+          assert.equal(brands.length, 1);
+          assert.equal(brands[0].get('name'), 'a');
+        });
+    });
+
+    afterEach(() => {
+      ParseMockDB.unMockDB();
+      ParseMockDB.mockDB(Parse);
+    });
+
+    it('should not wait for the hook when awaitAfterHooks is off', () => {
+      ParseMockDB.unMockDB();
+      ParseMockDB.mockDB(Parse, { awaitAfterHooks: false });
+      // The hook only goes on once the test releases it
+      let releaseHook;
+      const hookReleased = new Promise((resolve) => {
+        releaseHook = resolve;
+      });
+      let hookDone;
+      ParseMockDB.registerHook('Item', 'afterSave', (request) => {
+        hookDone = hookReleased.then(() => new Brand({ name: request.object.get('name') }).save());
+        return hookDone;
+      });
+      return new Item({ name: 'a' }).save()
+        .then(() => new Parse.Query(Brand).count())
+        .then((count) => {
+          assert.equal(count, 0);
+          releaseHook();
+          return hookDone;
+        })
+        .then(() => new Parse.Query(Brand).count())
+        .then((count) => {
+          assert.equal(count, 1);
+        });
+    });
+
+    it('should collect afterDelete errors without failing the delete', () => {
+      ParseMockDB.registerHook('Item', 'afterDelete', () => {
+        throw new Error('cannot clean up');
+      });
+      return createItemP(10)
+        .then(item => item.destroy())
+        .then(() => {
+          const errors = ParseMockDB.getHookErrors();
+          assert.equal(errors.length, 1);
+          assert.equal(errors[0].hookType, 'afterDelete');
+          assert.equal(errors[0].error.message, 'cannot clean up');
+        });
+    });
+  });
+
+  context('when hooks inspect their request', () => {
+    it('should report whether the master key was used', () => {
+      const masters = [];
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        masters.push(request.master);
+      });
+      return new Item().save()
+        .then(() => new Item().save(null, { useMasterKey: true }))
+        .then(() => {
+          assert.deepEqual(masters, [false, true]);
+        });
+    });
+
+    it('should name the trigger', () => {
+      const triggerNames = [];
+      const recordTriggerName = (request) => {
+        triggerNames.push(request.triggerName);
+      };
+      ['beforeSave', 'afterSave', 'beforeFind', 'afterFind', 'beforeDelete', 'afterDelete']
+        .forEach(hookType => ParseMockDB.registerHook('Item', hookType, recordTriggerName));
+      return createItemP(10)
+        .then(() => new Parse.Query(Item).find())
+        .then(items => items[0].destroy())
+        .then(() => {
+          assert.deepEqual(triggerNames, [
+            'beforeSave', 'afterSave', 'beforeFind', 'afterFind', 'beforeDelete', 'afterDelete',
+          ]);
+        });
+    });
+
+    it('should share the context of the request between beforeSave and afterSave', () => {
+      const contexts = [];
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        contexts.push(Object.assign({}, request.context));
+        request.context.seenBy = 'beforeSave';
+      });
+      ParseMockDB.registerHook('Item', 'afterSave', (request) => {
+        contexts.push(request.context);
+      });
+      const controller = Parse.CoreManager.getRESTController();
+      return controller.request('POST', 'classes/Item', { price: 10 }, { context: { a: 1 } })
+        .then(() => controller.request('POST', 'classes/Item', { price: 10, _context: { b: 2 } }))
+        .then(() => {
+          assert.deepEqual(contexts, [
+            { a: 1 }, { a: 1, seenBy: 'beforeSave' },
+            { b: 2 }, { b: 2, seenBy: 'beforeSave' },
+          ]);
+          return new Parse.Query(Item).find();
+        })
+        .then((items) => {
+          items.forEach(item => assert(!item.has('_context')));
+        });
+    });
+
+    it('should provide headers, ip and a logger', () => {
+      let requestInHook;
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        requestInHook = request;
+        request.log.info('saving an item');
+      });
+      return new Item().save(null, { installationId: 'device-1' })
+        .then(() => {
+          assert.equal(requestInHook.installationId, 'device-1');
+          assert.equal(requestInHook.headers['x-parse-installation-id'], 'device-1');
+          assert.equal(requestInHook.headers['content-type'], 'application/json');
+          assert.equal(requestInHook.ip, '127.0.0.1');
+          assert.equal(typeof requestInHook.log.error, 'function');
+        });
+    });
+
+    it('should send the session token header of the user', () =>
+      new Parse.User({ username: 'tom', password: 'secret' }).signUp()
+        .then((user) => {
+          let headers;
+          ParseMockDB.registerFunction('whoami', (request) => {
+            headers = request.headers;
+            return request.user.id;
+          });
+          return Parse.Cloud.run('whoami', {}, { sessionToken: user.getSessionToken() })
+            .then((userId) => {
+              assert.equal(userId, user.id);
+              assert.equal(headers['x-parse-session-token'], user.getSessionToken());
+            });
+        })
+    );
+  });
+
+  context('when several hooks are registered for the same trigger', () => {
+    it('should run beforeSave hooks in registration order on the modified object', () => {
+      const calls = [];
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        calls.push('first');
+        request.object.set('price', request.object.get('price') * 2);
+      });
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        calls.push('second');
+        request.object.set('price', request.object.get('price') + 1);
+        return Promise.resolve();
+      });
+      return createItemP(10)
+        .then((item) => {
+          assert.deepEqual(calls, ['first', 'second']);
+          assert.equal(item.get('price'), 21);
+          return new Parse.Query(Item).get(item.id);
+        })
+        .then((item) => {
+          assert.equal(item.get('price'), 21);
+        });
+    });
+
+    it('should abort the save and skip later hooks when a beforeSave hook rejects', () => {
+      let secondCalled = false;
+      ParseMockDB.registerHook('Item', 'beforeSave', () =>
+        Promise.reject(new Parse.Error(Parse.Error.VALIDATION_ERROR, 'no way'))
+      );
+      ParseMockDB.registerHook('Item', 'beforeSave', () => {
+        secondCalled = true;
+      });
+      return createItemP(10)
+        .then(() => {
+          assert.fail(null, null, 'should not have saved');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.VALIDATION_ERROR);
+          assert(!secondCalled);
+          return new Parse.Query(Item).count();
+        })
+        .then((count) => {
+          assert.equal(count, 0);
+        });
+    });
+
+    it('should chain beforeFind and afterFind hooks', () => {
+      ParseMockDB.registerHook('Item', 'beforeFind', (request) => {
+        request.query.greaterThan('price', 15);
+      });
+      ParseMockDB.registerHook('Item', 'beforeFind', (request) => {
+        request.query.lessThan('price', 35);
+      });
+      ParseMockDB.registerHook('Item', 'afterFind', request =>
+        request.objects.filter(object => object.get('price') !== 20)
+      );
+      ParseMockDB.registerHook('Item', 'afterFind', (request) => {
+        request.objects.forEach(object => object.set('seen', true));
+      });
+      return Promise.all([createItemP(10), createItemP(20), createItemP(30), createItemP(40)])
+        .then(() => new Parse.Query(Item).find())
+        .then((results) => {
+          assert.equal(results.length, 1);
+          assert.equal(results[0].get('price'), 30);
+          assert.equal(results[0].get('seen'), true);
+        });
+    });
+
+    it('should unregister a hook with the returned disposer', () => {
+      let firstCalls = 0;
+      let secondCalls = 0;
+      const dispose = ParseMockDB.registerHook('Item', 'afterDelete', () => {
+        firstCalls++;
+      });
+      ParseMockDB.registerHook('Item', 'afterDelete', () => {
+        secondCalls++;
+      });
+      dispose();
+      return createItemP(10)
+        .then(item => item.destroy())
+        .then(() => {
+          assert.equal(firstCalls, 0);
+          assert.equal(secondCalls, 1);
+        });
+    });
+
+    it('should unregister all hooks of a trigger with unregisterHook', () => {
+      let calls = 0;
+      ParseMockDB.registerHook('Item', 'beforeSave', () => {
+        calls++;
+      });
+      ParseMockDB.registerHook('Item', 'beforeSave', () => {
+        calls++;
+      });
+      ParseMockDB.unregisterHook('Item', 'beforeSave');
+      return createItemP(10)
+        .then(() => {
+          assert.equal(calls, 0);
+        });
+    });
+  });
+
+  it('successfully uses containsAll query', () =>
+    Promise.all([createItemP(30), createItemP(20)]).then(([item1, item2]) => {
+      const store = new Store({
+        items: [item1.toPointer(), item2.toPointer()],
+      });
+      return store.save().then(() => {
+        const query = new Parse.Query(Store);
+        query.containsAll('items', [item1.toPointer(), item2.toPointer()]);
+        return query.find();
+      }).then(stores => {
+        assert.equal(stores.length, 1);
+        const query = new Parse.Query(Store);
+        query.containsAll('items', [item2.toPointer(), 4]);
+        return query.find();
+      }).then(stores => {
+        assert.equal(stores.length, 0);
       });
     })
   );
@@ -1797,6 +3510,541 @@ describe('ParseMock', () => {
       });
   });
 
+  context('when signing up and logging in users', () => {
+    function signUpP(username, extra) {
+      const user = new Parse.User(extra);
+      user.set('username', username);
+      user.set('password', 'secret');
+      return user.signUp();
+    }
+
+    it('should return a session token on sign up', () =>
+      signUpP('tom').then((user) => {
+        assert(user.getSessionToken());
+        assert.equal(user.get('password'), undefined);
+      })
+    );
+
+    it('should never return the password', () =>
+      signUpP('tom').then(() => new Parse.Query(Parse.User).first())
+        .then((user) => {
+          assert.equal(user.get('username'), 'tom');
+          assert.equal(user.get('password'), undefined);
+          assert.equal(user.get('_hashed_password'), undefined);
+        })
+    );
+
+    it('should reject duplicate usernames and emails', () =>
+      signUpP('tom', { email: 'tom@example.com' })
+        .then(() => signUpP('tom'))
+        .then(() => {
+          assert.fail(null, null, 'should not have signed up');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.USERNAME_TAKEN);
+          return signUpP('thomas', { email: 'tom@example.com' });
+        })
+        .then(() => {
+          assert.fail(null, null, 'should not have signed up');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.EMAIL_TAKEN);
+        })
+    );
+
+    it('should log in with the right password only', () =>
+      signUpP('tom')
+        .then(() => Parse.User.logIn('tom', 'wrong'))
+        .then(() => {
+          assert.fail(null, null, 'should not have logged in');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+          return Parse.User.logIn('tom', 'secret');
+        })
+        .then((user) => {
+          assert.equal(user.get('username'), 'tom');
+          assert(user.getSessionToken());
+          return new Parse.Query('_Session').find({ useMasterKey: true });
+        })
+        .then((sessions) => {
+          assert.equal(sessions.length, 2);
+        })
+    );
+
+    it('should resolve the user of a session token', () => {
+      let sessionToken;
+      return signUpP('tom')
+        .then((user) => {
+          sessionToken = user.getSessionToken();
+          return Parse.User.me(sessionToken);
+        })
+        .then((user) => {
+          assert.equal(user.get('username'), 'tom');
+          return Parse.User.logOut({ sessionToken });
+        })
+        .then(() => Parse.User.me(sessionToken))
+        .then(() => {
+          assert.fail(null, null, 'should not have found the user');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.INVALID_SESSION_TOKEN);
+        });
+    });
+
+    it('should evaluate ACLs against the user of the session token', () =>
+      Promise.all([signUpP('tom'), signUpP('jerry')]).then(([tom, jerry]) => {
+        const item = new Item({ price: 30 });
+        item.setACL(new Parse.ACL(tom));
+        return item.save(null, { sessionToken: tom.getSessionToken() })
+          .then(() => new Parse.Query(Item).find({ sessionToken: jerry.getSessionToken() }))
+          .then((results) => {
+            assert.equal(results.length, 0);
+            return new Parse.Query(Item).find({ sessionToken: tom.getSessionToken() });
+          })
+          .then((results) => {
+            assert.equal(results.length, 1);
+          });
+      })
+    );
+
+    it('should pass the user of the session token to hooks', () => {
+      let hookUser;
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        hookUser = request.user;
+        return Promise.resolve(request.object);
+      });
+      return signUpP('tom')
+        .then((tom) => new Item().save(null, { sessionToken: tom.getSessionToken() }))
+        .then(() => {
+          assert.equal(hookUser.get('username'), 'tom');
+        });
+    });
+
+    it('should only let users read their own sessions', () =>
+      Promise.all([signUpP('tom'), signUpP('jerry')]).then(([tom, jerry]) =>
+        new Parse.Query('_Session').find({ sessionToken: jerry.getSessionToken() })
+          .then((sessions) => {
+            assert.equal(sessions.length, 1);
+            assert.equal(sessions[0].get('user').id, jerry.id);
+            assert.notEqual(sessions[0].get('sessionToken'), tom.getSessionToken());
+          })
+      )
+    );
+
+    it('should only let users update and delete their own rows', () =>
+      Promise.all([signUpP('tom'), signUpP('jerry')]).then(([tom, jerry]) => {
+        const asJerry = { sessionToken: jerry.getSessionToken() };
+        return tom.save({ username: 'pwned' }, asJerry)
+          .then(() => {
+            assert.fail(null, null, 'should not have updated the user');
+          }, (error) => {
+            assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+            return new Parse.Query('_Session').equalTo('user', tom).find({ useMasterKey: true });
+          })
+          .then(sessions => Parse.Object.destroyAll(sessions, asJerry))
+          .then(() => {
+            assert.fail(null, null, 'should not have deleted the sessions');
+          }, (error) => {
+            assert.equal(error.errors[0].code, Parse.Error.OBJECT_NOT_FOUND);
+            return Parse.User.me(tom.getSessionToken());
+          })
+          .then((me) => {
+            assert.equal(me.get('username'), 'tom');
+            return me.save({ name: 'Tom' }, { sessionToken: tom.getSessionToken() });
+          })
+          .then(() => new Parse.Query(Parse.User).get(tom.id))
+          .then((fetched) => {
+            assert.equal(fetched.get('username'), 'tom');
+            assert.equal(fetched.get('name'), 'Tom');
+          });
+      })
+    );
+  });
+
+  context('when objects have an ACL', () => {
+    let owner;
+    let stranger;
+
+    function createPrivateItemP(acl) {
+      const item = new Item({ price: 30 });
+      item.setACL(acl);
+      return item.save(null, { useMasterKey: true });
+    }
+
+    actAsUsers(['owner', 'stranger'], (users) => {
+      [owner, stranger] = users;
+    });
+
+    it('should filter out rows the current user cannot read', () =>
+      createPrivateItemP(new Parse.ACL(owner)).then(() => {
+        ParseMockDB.mockUser(stranger);
+        return new Parse.Query(Item).find();
+      }).then((results) => {
+        assert.equal(results.length, 0);
+        ParseMockDB.mockUser(owner);
+        return new Parse.Query(Item).find();
+      }).then((results) => {
+        assert.equal(results.length, 1);
+      })
+    );
+
+    it('should not count rows the current user cannot read', () =>
+      createPrivateItemP(new Parse.ACL(owner)).then(() =>
+        new Parse.Query(Item).count()
+      ).then((count) => {
+        assert.equal(count, 0);
+      })
+    );
+
+    it('should let the master key read every row', () =>
+      createPrivateItemP(new Parse.ACL(owner)).then(() => {
+        ParseMockDB.mockUser(stranger);
+        return new Parse.Query(Item).find({ useMasterKey: true });
+      }).then((results) => {
+        assert.equal(results.length, 1);
+      })
+    );
+
+    it('should grant access through public read permissions', () => {
+      const acl = new Parse.ACL(owner);
+      acl.setPublicReadAccess(true);
+      return createPrivateItemP(acl).then(() => {
+        ParseMockDB.mockUser(stranger);
+        return new Parse.Query(Item).find();
+      }).then((results) => {
+        assert.equal(results.length, 1);
+      });
+    });
+
+    it('should grant access through role permissions', () => {
+      const acl = new Parse.ACL();
+      acl.setRoleReadAccess('Staff', true);
+      const role = new Parse.Role('Staff', new Parse.ACL());
+      role.getUsers().add(stranger);
+      return Promise.all([createPrivateItemP(acl), role.save()]).then(() => {
+        ParseMockDB.mockUser(stranger);
+        return new Parse.Query(Item).find();
+      }).then((results) => {
+        assert.equal(results.length, 1);
+        ParseMockDB.mockUser(owner);
+        return new Parse.Query(Item).find();
+      }).then((results) => {
+        assert.equal(results.length, 0);
+      });
+    });
+
+    it('should reject fetching an unreadable object with code 101', () =>
+      createPrivateItemP(new Parse.ACL(owner)).then((item) => {
+        ParseMockDB.mockUser(stranger);
+        return Item.createWithoutData(item.id).fetch();
+      }).then(() => {
+        assert.fail(null, null, 'should not have fetched');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+      })
+    );
+
+    it('should reject updates without write permission', () => {
+      const acl = new Parse.ACL(owner);
+      acl.setPublicReadAccess(true);
+      return createPrivateItemP(acl).then((item) => {
+        ParseMockDB.mockUser(stranger);
+        item.set('price', 10);
+        return item.save();
+      }).then(() => {
+        assert.fail(null, null, 'should not have saved');
+      }, (error) => {
+        assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+        return new Parse.Query(Item).first();
+      }).then((item) => {
+        assert.equal(item.get('price'), 30);
+        ParseMockDB.mockUser(owner);
+        item.set('price', 10);
+        return item.save();
+      })
+      .then((item) => {
+        assert.equal(item.get('price'), 10);
+      });
+    });
+
+    it('should reject deletes without write permission', () =>
+      createPrivateItemP(new Parse.ACL(owner)).then((item) => {
+        ParseMockDB.mockUser(stranger);
+        return item.destroy().then(() => {
+          assert.fail(null, null, 'should not have deleted');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.OBJECT_NOT_FOUND);
+          return item.destroy({ useMasterKey: true });
+        });
+      }).then(() => new Parse.Query(Item).find({ useMasterKey: true }))
+        .then((results) => {
+          assert.equal(results.length, 0);
+        })
+    );
+
+    it('should not include objects the current user cannot read', () => {
+      let brand;
+      return createPrivateItemP(new Parse.ACL(owner))
+        .then((item) => {
+          brand = new Brand({ name: 'Acme', item });
+          return brand.save();
+        })
+        .then(() => {
+          ParseMockDB.mockUser(stranger);
+          return new Parse.Query(Brand).include('item').find();
+        })
+        .then((results) => {
+          assert.equal(results[0].get('item').get('price'), undefined);
+          return new Parse.Query(Brand).include('item').get(brand.id);
+        })
+        .then((result) => {
+          assert.equal(result.get('item').get('price'), undefined);
+          ParseMockDB.mockUser(owner);
+          return new Parse.Query(Brand).include('item').find();
+        })
+        .then((results) => {
+          assert.equal(results[0].get('item').get('price'), 30);
+        });
+    });
+
+    it('should only match readable rows in subqueries', () => {
+      const itemQuery = new Parse.Query(Item).equalTo('price', 30);
+      return createPrivateItemP(new Parse.ACL(owner))
+        .then(item => new Brand({ name: 'Acme', item, price: 30 }).save())
+        .then(() => {
+          ParseMockDB.mockUser(stranger);
+          return Promise.all([
+            new Parse.Query(Brand).matchesQuery('item', itemQuery).find(),
+            new Parse.Query(Brand).matchesKeyInQuery('price', 'price', itemQuery).find(),
+            new Parse.Query(Brand).doesNotMatchQuery('item', itemQuery).find(),
+          ]);
+        })
+        .then(([inQuery, select, notInQuery]) => {
+          assert.equal(inQuery.length, 0);
+          assert.equal(select.length, 0);
+          assert.equal(notInQuery.length, 1);
+          ParseMockDB.mockUser(owner);
+          return new Parse.Query(Brand).matchesQuery('item', itemQuery).find();
+        })
+        .then((results) => {
+          assert.equal(results.length, 1);
+        });
+    });
+  });
+
+  context('when a class has class level permissions', () => {
+    let owner;
+    let stranger;
+
+    actAsUsers(['owner', 'stranger'], (users) => {
+      [owner, stranger] = users;
+    });
+
+    it('should forbid operations nobody is granted', () => {
+      ParseMockDB.setClassLevelPermissions('Item', { create: {}, find: {} });
+      return Promise.all([
+        expectError(createItemP(30), Parse.Error.OPERATION_FORBIDDEN),
+        expectError(new Parse.Query(Item).find(), Parse.Error.OPERATION_FORBIDDEN),
+      ]);
+    });
+
+    it('should let the master key bypass class level permissions', () => {
+      ParseMockDB.setClassLevelPermissions('Item', { create: {}, find: {} });
+      return new Item({ price: 30 }).save(null, { useMasterKey: true })
+        .then(() => new Parse.Query(Item).find({ useMasterKey: true }))
+        .then((results) => {
+          assert.equal(results.length, 1);
+        });
+    });
+
+    it('should grant operations to users and roles', () => {
+      ParseMockDB.setClassLevelPermissions('Item', {
+        create: { [owner.id]: true },
+        count: { 'role:Staff': true },
+      });
+      const role = new Parse.Role('Staff', new Parse.ACL());
+      role.getUsers().add(stranger);
+      return role.save().then(() => {
+        ParseMockDB.mockUser(stranger);
+        return expectError(createItemP(30), Parse.Error.OPERATION_FORBIDDEN);
+      }).then(() => {
+        ParseMockDB.mockUser(owner);
+        return createItemP(30);
+      }).then(() => expectError(new Parse.Query(Item).count(), Parse.Error.OPERATION_FORBIDDEN))
+        .then(() => {
+          ParseMockDB.mockUser(stranger);
+          return new Parse.Query(Item).count();
+        })
+        .then((count) => {
+          assert.equal(count, 1);
+        });
+    });
+
+    it('should check get rather than find for queries on an objectId only', () => {
+      ParseMockDB.setClassLevelPermissions('Item', { find: {}, get: { '*': true } });
+      return createItemP(30).then(item => Promise.all([
+        new Parse.Query(Item).get(item.id),
+        expectError(
+          new Parse.Query(Item).equalTo('objectId', item.id).equalTo('price', 30).find(),
+          Parse.Error.OPERATION_FORBIDDEN
+        ),
+      ])).then(([fetched]) => {
+        assert.equal(fetched.get('price'), 30);
+      });
+    });
+
+    it('should require a user for requiresAuthentication', () => {
+      ParseMockDB.setClassLevelPermissions('Item', { find: { requiresAuthentication: true } });
+      return expectError(new Parse.Query(Item).find(), Parse.Error.OBJECT_NOT_FOUND)
+        .then(() => {
+          ParseMockDB.mockUser(stranger);
+          return new Parse.Query(Item).find();
+        })
+        .then((results) => {
+          assert.equal(results.length, 0);
+        });
+    });
+
+    it('should restrict reads and writes through pointer fields', () => {
+      ParseMockDB.setClassLevelPermissions('Item', {
+        find: {},
+        get: {},
+        update: {},
+        readUserFields: ['owner'],
+        writeUserFields: ['owner'],
+      });
+      let ownedItem;
+      return Promise.all([
+        createItemP(30, null, { owner }),
+        createItemP(20, null, { owner: stranger }),
+      ]).then(([item]) => {
+        ownedItem = item;
+        ParseMockDB.mockUser(owner);
+        return new Parse.Query(Item).find();
+      }).then((results) => {
+        assert.equal(results.length, 1);
+        assert.equal(results[0].id, ownedItem.id);
+        ParseMockDB.mockUser(stranger);
+        return expectError(
+          Item.createWithoutData(ownedItem.id).fetch(), Parse.Error.OBJECT_NOT_FOUND
+        );
+      }).then(() => {
+        ownedItem.set('price', 10);
+        return expectError(ownedItem.save(), Parse.Error.OBJECT_NOT_FOUND);
+      });
+    });
+
+    it('should check addField only for fields new to the class', () => {
+      ParseMockDB.setClassLevelPermissions('Item', { addField: {} });
+      return new Item({ price: 30 }).save(null, { useMasterKey: true })
+        .then(() => expectError(
+          createItemP(30, null, { color: 'red' }), Parse.Error.OPERATION_FORBIDDEN
+        ))
+        .then(() => createItemP(20))
+        .then((item) => {
+          assert.equal(item.get('price'), 20);
+          assert.deepEqual(ParseMockDB.getClassLevelPermissions('Item'), { addField: {} });
+        });
+    });
+  });
+
+  context('when using roles', () => {
+    let member;
+
+    actAsUsers(['member'], (users) => {
+      [member] = users;
+    });
+
+    function createRoleP(name, users, roles) {
+      const roleACL = new Parse.ACL();
+      roleACL.setPublicReadAccess(true);
+      const role = new Parse.Role(name, roleACL);
+      (users || []).forEach(roleUser => role.getUsers().add(roleUser));
+      (roles || []).forEach(childRole => role.getRoles().add(childRole));
+      return role.save();
+    }
+
+    it('should reject duplicate role names', () =>
+      createRoleP('Staff')
+        .then(() => createRoleP('Staff'))
+        .then(() => {
+          assert.fail(null, null, 'should not have saved');
+        }, (error) => {
+          assert.equal(error.code, Parse.Error.DUPLICATE_VALUE);
+          return new Parse.Query(Parse.Role).count();
+        })
+        .then((count) => {
+          assert.equal(count, 1);
+        })
+    );
+
+    it('should grant the permissions of parent roles to members of child roles', () => {
+      const acl = new Parse.ACL();
+      acl.setRoleReadAccess('Admin', true);
+      return createRoleP('Moderator', [member])
+        .then((moderator) => createRoleP('Staff', [], [moderator]))
+        .then((staff) => createRoleP('Admin', [], [staff]))
+        .then(() => new Item({ price: 30 }).setACL(acl).save())
+        .then(() => {
+          ParseMockDB.mockUser(member);
+          return new Parse.Query(Item).find();
+        })
+        .then((results) => {
+          assert.equal(results.length, 1);
+        });
+    });
+
+    it('should not grant the permissions of child roles to members of parent roles', () => {
+      const acl = new Parse.ACL();
+      acl.setRoleReadAccess('Moderator', true);
+      return createRoleP('Moderator')
+        .then((moderator) => createRoleP('Admin', [member], [moderator]))
+        .then(() => new Item({ price: 30 }).setACL(acl).save())
+        .then(() => {
+          ParseMockDB.mockUser(member);
+          return new Parse.Query(Item).find();
+        })
+        .then((results) => {
+          assert.equal(results.length, 0);
+        });
+    });
+
+    it('should handle cycles in the role hierarchy', () => {
+      ParseMockDB.setClassLevelPermissions('Item', { find: { 'role:Admin': true } });
+      return createRoleP('Staff', [member])
+        .then((staff) => createRoleP('Admin', [], [staff]))
+        .then((admin) => {
+          const staff = new Parse.Query(Parse.Role).equalTo('name', 'Staff');
+          return staff.first().then((role) => {
+            role.getRoles().add(admin);
+            return role.save(null, { useMasterKey: true });
+          });
+        })
+        .then(() => createItemP(30))
+        .then(() => {
+          ParseMockDB.mockUser(member);
+          return new Parse.Query(Item).find();
+        })
+        .then((results) => {
+          assert.equal(results.length, 1);
+        });
+    });
+
+    it('should pass the role names of the user to hooks', () => {
+      let hookRoles;
+      ParseMockDB.registerHook('Item', 'beforeSave', (request) => {
+        hookRoles = request.roles;
+        return Promise.resolve(request.object);
+      });
+      return createRoleP('Staff', [member])
+        .then((staff) => createRoleP('Admin', [], [staff]))
+        .then(() => {
+          ParseMockDB.mockUser(member);
+          return new Item().save();
+        })
+        .then(() => {
+          assert.deepEqual(hookRoles.sort(), ['Admin', 'Staff']);
+        });
+    });
+  });
+
   it('should correctly find nested object in a where query', () => {
     const store = new Store({
       name: 'store 1',